@@ -0,0 +1,33 @@
+// Roles in ascending order of privilege
+const ROLES = ['user', 'curator', 'admin'];
+
+// Permission matrix - what each role is allowed to do
+const PERMISSIONS = {
+    user: [
+        'playlists:manage',
+        'ai:generate'
+    ],
+    curator: [
+        'playlists:manage',
+        'ai:generate',
+        'tracks:manage'
+    ],
+    admin: [
+        'playlists:manage',
+        'ai:generate',
+        'tracks:manage',
+        'users:manage',
+        'roles:assign'
+    ]
+};
+
+// Check if a role grants a permission
+const hasPermission = (role, permission) => {
+    return (PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    hasPermission
+};
@@ -0,0 +1,608 @@
+const { validationResult, body } = require('express-validator');
+const User = require('../models/User');
+const Track = require('../models/Track');
+const TrackAudit = require('../models/TrackAudit');
+const { ROLES } = require('../config/permissions');
+const { getYouTubeUrl, getYouTubeThumbnails } = require('../utils/youtubeHelper');
+const { ingest } = require('../utils/youtubeIngestion');
+const { importCatalog, exportCatalog } = require('../utils/catalogTransfer');
+
+// Work out csv/ndjson from ?format= or the Content-Type header
+const getCatalogFormat = (req) => {
+    const format = (req.query.format || '').toLowerCase();
+    if (['csv', 'ndjson', 'jsonl'].includes(format)) {
+        return format === 'csv' ? 'csv' : 'ndjson';
+    }
+    if (req.is && req.is('text/csv')) return 'csv';
+    if (req.is && req.is(['application/x-ndjson', 'application/jsonl'])) return 'ndjson';
+    return null;
+};
+
+// Allowed values come straight from the Track schema
+const GENRES = Track.schema.path('genre').enumValues;
+const MOODS = Track.schema.path('mood').caster.enumValues;
+
+// Fields curators may set on a track
+const EDITABLE_TRACK_FIELDS = [
+    'title', 'artist', 'album', 'duration', 'genre', 'mood', 'tags',
+    'youtubeId', 'youtubeUrl', 'thumbnail', 'audioQuality', 'releaseYear',
+    'language', 'metadata'
+];
+
+// @desc    Get all users with filtering and pagination
+// @route   GET /api/admin/users
+// @access  Private (admin only)
+const getUsers = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, role, search } = req.query;
+        const skip = (page - 1) * limit;
+        const limitNum = Math.min(parseInt(limit), 100);
+
+        const invalid = [
+            role !== undefined && !ROLES.includes(role) && `role must be one of: ${ROLES.join(', ')}`,
+            search !== undefined && typeof search !== 'string' && 'search must be given once'
+        ].find(Boolean);
+
+        if (invalid) {
+            return res.status(400).json({
+                status: 'error',
+                message: invalid
+            });
+        }
+
+        // Build filter object
+        const filter = {};
+        if (role) {
+            filter.role = role;
+        }
+        if (search) {
+            const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ username: searchRegex }, { email: searchRegex }];
+        }
+
+        const users = await User.find(filter)
+            .select('username email role isVerified profilePicture lastActive createdAt')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limitNum);
+
+        const total = await User.countDocuments(filter);
+
+        res.json({
+            status: 'success',
+            data: {
+                users,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limitNum),
+                    totalUsers: total,
+                    limit: limitNum
+                }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (admin only)
+const updateUserRole = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { role } = req.body;
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found'
+            });
+        }
+
+        // Never leave the platform without an admin
+        if (user.role === 'admin' && role !== 'admin') {
+            const adminCount = await User.countDocuments({ role: 'admin' });
+            if (adminCount <= 1) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: 'Cannot demote the last admin'
+                });
+            }
+        }
+
+        user.role = role;
+        await user.save();
+
+        res.json({
+            status: 'success',
+            message: `User role updated to ${role}`,
+            data: {
+                user: {
+                    _id: user._id,
+                    username: user.username,
+                    email: user.email,
+                    role: user.role
+                }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get all tracks, including deactivated ones
+// @route   GET /api/admin/tracks
+// @access  Private (curator/admin)
+const getAdminTracks = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status = 'all', genre, search } = req.query;
+        const skip = (page - 1) * limit;
+        const limitNum = Math.min(parseInt(limit), 100);
+
+        // Build filter object
+        const filter = {};
+        if (status === 'active') filter.isActive = true;
+        if (status === 'inactive') filter.isActive = false;
+        if (genre) filter.genre = { $in: genre.split(',') };
+        if (search) filter.$text = { $search: search };
+
+        const tracks = await Track.find(filter)
+            .sort({ updatedAt: -1 })
+            .skip(skip)
+            .limit(limitNum)
+            .select('-__v');
+
+        const total = await Track.countDocuments(filter);
+
+        res.json({
+            status: 'success',
+            data: {
+                tracks,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limitNum),
+                    totalTracks: total,
+                    limit: limitNum
+                }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Add a track to the catalog
+// @route   POST /api/admin/tracks
+// @access  Private (curator/admin)
+const createTrack = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const trackData = {};
+        EDITABLE_TRACK_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) trackData[field] = req.body[field];
+        });
+
+        // Fill in YouTube URL and thumbnails from the video ID when not given
+        if (!trackData.youtubeUrl) trackData.youtubeUrl = getYouTubeUrl(trackData.youtubeId);
+        if (!trackData.thumbnail) trackData.thumbnail = getYouTubeThumbnails(trackData.youtubeId);
+
+        const track = await Track.create({
+            ...trackData,
+            addedBy: req.user._id.toString()
+        });
+
+        await TrackAudit.record(track._id, 'create', req.user._id, TrackAudit.diff({}, track.toObject(), EDITABLE_TRACK_FIELDS));
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Track created successfully',
+            data: {
+                track
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update a track
+// @route   PUT /api/admin/tracks/:id
+// @access  Private (curator/admin)
+const updateTrack = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const track = await Track.findById(req.params.id);
+
+        if (!track) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Track not found'
+            });
+        }
+
+        const before = track.toObject();
+
+        EDITABLE_TRACK_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+
+            // Nested objects are merged so single values can be edited
+            if (field === 'metadata' || field === 'thumbnail') {
+                track[field] = { ...(before[field] || {}), ...req.body[field] };
+            } else {
+                track[field] = req.body[field];
+            }
+        });
+
+        // Keep URL and thumbnails in step with a changed video ID
+        if (track.youtubeId !== before.youtubeId) {
+            if (req.body.youtubeUrl === undefined) track.youtubeUrl = getYouTubeUrl(track.youtubeId);
+            if (req.body.thumbnail === undefined) track.thumbnail = getYouTubeThumbnails(track.youtubeId);
+        }
+
+        const changes = TrackAudit.diff(before, track.toObject(), EDITABLE_TRACK_FIELDS);
+
+        if (changes.length === 0) {
+            return res.json({
+                status: 'success',
+                message: 'No changes to save',
+                data: {
+                    track
+                }
+            });
+        }
+
+        await track.save();
+        await TrackAudit.record(track._id, 'update', req.user._id, changes);
+
+        res.json({
+            status: 'success',
+            message: 'Track updated successfully',
+            data: {
+                track,
+                changes
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Shared handler for deactivating and restoring tracks
+const setTrackActive = (isActive) => {
+    return async (req, res, next) => {
+        try {
+            const track = await Track.findById(req.params.id);
+
+            if (!track) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Track not found'
+                });
+            }
+
+            if (track.isActive === isActive) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: isActive ? 'Track is already active' : 'Track is already deactivated'
+                });
+            }
+
+            track.isActive = isActive;
+            await track.save();
+
+            await TrackAudit.record(track._id, isActive ? 'restore' : 'deactivate', req.user._id, [
+                { field: 'isActive', from: !isActive, to: isActive }
+            ]);
+
+            res.json({
+                status: 'success',
+                message: isActive ? 'Track restored successfully' : 'Track deactivated successfully',
+                data: {
+                    track
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// @desc    Soft-deactivate a track
+// @route   DELETE /api/admin/tracks/:id
+// @access  Private (curator/admin)
+const deactivateTrack = setTrackActive(false);
+
+// @desc    Restore a deactivated track
+// @route   POST /api/admin/tracks/:id/restore
+// @access  Private (curator/admin)
+const restoreTrack = setTrackActive(true);
+
+// @desc    Get a track's audit trail
+// @route   GET /api/admin/tracks/:id/history
+// @access  Private (curator/admin)
+const getTrackHistory = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+        const skip = (page - 1) * limit;
+        const limitNum = Math.min(parseInt(limit), 100);
+
+        const track = await Track.findById(req.params.id).select('title artist isActive');
+
+        if (!track) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Track not found'
+            });
+        }
+
+        const history = await TrackAudit.getTrackHistory(track._id, limitNum, skip);
+        const total = await TrackAudit.countDocuments({ track: track._id });
+
+        res.json({
+            status: 'success',
+            data: {
+                track,
+                history,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limitNum),
+                    totalEntries: total,
+                    limit: limitNum
+                }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Ingest tracks from YouTube (search, channel or playlist)
+// @route   POST /api/admin/tracks/ingest/youtube
+// @access  Private (curator/admin)
+const ingestYouTubeTracks = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { query, channelId, playlistId, maxResults, genre, mood, tags } = req.body;
+
+        const report = await ingest(
+            { query, channelId, playlistId, maxResults, genre, mood, tags },
+            { userId: req.user._id }
+        );
+
+        res.json({
+            status: 'success',
+            message: `Ingestion complete: ${report.created} created, ${report.updated} updated, ${report.skipped} skipped`,
+            data: {
+                report
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Bulk import tracks from CSV or NDJSON
+// @route   POST /api/admin/tracks/import?format=csv|ndjson&dryRun=true
+// @access  Private (curator/admin)
+const importTracks = async (req, res, next) => {
+    try {
+        const format = getCatalogFormat(req);
+        if (!format) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Format must be csv or ndjson (use ?format= or a text/csv or application/x-ndjson body)'
+            });
+        }
+
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Import file is empty'
+            });
+        }
+
+        const dryRun = req.query.dryRun === 'true';
+        const report = await importCatalog(req.body, format, { dryRun, userId: req.user._id });
+        const allFailed = report.total > 0 && report.failed === report.total;
+
+        res.status(allFailed ? 400 : 200).json({
+            status: allFailed ? 'error' : 'success',
+            message: `${dryRun ? 'Dry run' : 'Import'} complete: ${report.created} created, ${report.updated} updated, ` +
+                `${report.unchanged} unchanged, ${report.failed} failed`,
+            data: {
+                report
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Export the whole catalog as CSV or NDJSON
+// @route   GET /api/admin/tracks/export?format=csv|ndjson&includeInactive=true
+// @access  Private (curator/admin)
+const exportTracks = async (req, res, next) => {
+    try {
+        const format = getCatalogFormat(req) || 'ndjson';
+        const includeInactive = req.query.includeInactive === 'true';
+        const date = new Date().toISOString().split('T')[0];
+
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="rawmusic-catalog-${date}.${format}"`);
+
+        await exportCatalog(res, format, { includeInactive });
+        res.end();
+
+    } catch (error) {
+        // Headers are gone once streaming starts, so just cut the response
+        if (res.headersSent) {
+            console.error('Catalog export error:', error);
+            return res.end();
+        }
+        next(error);
+    }
+};
+
+// Validation rules
+const roleValidation = [
+    body('role')
+        .isIn(ROLES)
+        .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Shared track field rules; create requires the core fields, update makes them optional
+const trackFieldValidation = (isUpdate) => {
+    const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+    return [
+        required(body('title'))
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Title must be between 1 and 100 characters'),
+        required(body('artist'))
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Artist must be between 1 and 100 characters'),
+        body('album')
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Album name cannot exceed 100 characters'),
+        required(body('duration'))
+            .isInt({ min: 1 })
+            .withMessage('Duration must be a whole number of seconds')
+            .toInt(),
+        required(body('genre'))
+            .customSanitizer(value => (typeof value === 'string' ? value.toLowerCase() : value))
+            .isIn(GENRES)
+            .withMessage(`Genre must be one of: ${GENRES.join(', ')}`),
+        body('mood')
+            .optional()
+            .isArray()
+            .withMessage('Mood must be an array'),
+        body('mood.*')
+            .customSanitizer(value => (typeof value === 'string' ? value.toLowerCase() : value))
+            .isIn(MOODS)
+            .withMessage(`Mood must be one of: ${MOODS.join(', ')}`),
+        body('tags')
+            .optional()
+            .isArray()
+            .withMessage('Tags must be an array'),
+        required(body('youtubeId'))
+            .matches(/^[a-zA-Z0-9_-]{11}$/)
+            .withMessage('Invalid YouTube ID format'),
+        body('youtubeUrl')
+            .optional()
+            .isURL()
+            .withMessage('YouTube URL must be a valid URL'),
+        body('audioQuality')
+            .optional()
+            .isIn(['low', 'medium', 'high'])
+            .withMessage('Audio quality must be low, medium, or high'),
+        body('releaseYear')
+            .optional()
+            .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
+            .withMessage('Release year is out of range')
+            .toInt(),
+        body(['metadata.energy', 'metadata.danceability', 'metadata.valence'])
+            .optional()
+            .isFloat({ min: 0, max: 1 })
+            .withMessage('Energy, danceability and valence must be between 0 and 1')
+            .toFloat(),
+        body('metadata.bpm')
+            .optional()
+            .isFloat({ min: 1 })
+            .withMessage('BPM must be a positive number')
+            .toFloat()
+    ];
+};
+
+const ingestValidation = [
+    body()
+        .custom(value => value.query || value.channelId || value.playlistId)
+        .withMessage('Provide a search query, channelId or playlistId'),
+    body('maxResults')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('maxResults must be between 1 and 200')
+        .toInt(),
+    body('genre')
+        .optional()
+        .isIn(GENRES)
+        .withMessage(`Genre must be one of: ${GENRES.join(', ')}`),
+    body('mood')
+        .optional()
+        .isArray()
+        .withMessage('Mood must be an array'),
+    body('mood.*')
+        .isIn(MOODS)
+        .withMessage(`Mood must be one of: ${MOODS.join(', ')}`),
+    body('tags')
+        .optional()
+        .isArray()
+        .withMessage('Tags must be an array')
+];
+
+const createTrackValidation = trackFieldValidation(false);
+const updateTrackValidation = trackFieldValidation(true);
+
+module.exports = {
+    getUsers,
+    updateUserRole,
+    getAdminTracks,
+    createTrack,
+    updateTrack,
+    deactivateTrack,
+    restoreTrack,
+    getTrackHistory,
+    ingestYouTubeTracks,
+    importTracks,
+    exportTracks,
+    roleValidation,
+    createTrackValidation,
+    updateTrackValidation,
+    ingestValidation
+};
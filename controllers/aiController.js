@@ -1,12 +1,12 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { validationResult, body } = require('express-validator');
+const { validationResult, body, query } = require('express-validator');
 const AIRequest = require('../models/AIRequest');
-const Track = require('../models/Track');
 const Playlist = require('../models/Playlist');
-const User = require('../models/User');
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const PlaylistRevision = require('../models/PlaylistRevision');
+const { getShareToken } = require('../middleware/auth');
+const { refineIntent } = require('../utils/aiProvider');
+const { generateFromRequest, refinePlaylistTracks, generateFromSeedTracks } = require('../utils/playlistGenerator');
+const { collectSeedTracks } = require('../utils/trackSimilarity');
+const { wakeAIWorker } = require('../utils/aiWorker');
 
 // @desc    Generate AI playlist based on prompt
 // @route   POST /api/ai/generate
@@ -22,169 +22,333 @@ const generatePlaylist = async (req, res, next) => {
             });
         }
 
-        const { prompt, playlistName, savePlaylist = true } = req.body;
+        const { prompt, playlistName, savePlaylist = true, async: runAsync = false } = req.body;
         const startTime = Date.now();
 
         // Create AI request record
         const aiRequest = await AIRequest.create({
             user: req.user._id,
             prompt: prompt.trim(),
-            requestType: 'playlist_generation'
+            requestType: 'playlist_generation',
+            isQueued: runAsync,
+            options: { playlistName, savePlaylist }
         });
 
+        // Queued requests are picked up by the AI worker; the client polls for the result
+        if (runAsync) {
+            wakeAIWorker();
+
+            const statusUrl = `/api/ai/requests/${aiRequest._id}`;
+            return res.status(202).location(statusUrl).json({
+                status: 'success',
+                message: 'Playlist generation queued',
+                data: {
+                    requestId: aiRequest._id,
+                    requestStatus: aiRequest.status,
+                    statusUrl
+                }
+            });
+        }
+
         await aiRequest.updateStatus('processing');
 
         try {
-            // Get the generative model
-            const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-
-            // Create enhanced prompt for better music recommendations
-            const enhancedPrompt = `
-You are a music expert AI. Based on the user's request: "${prompt}", please analyze and extract:
-
-1. MOOD/EMOTION keywords (choose from: happy, sad, energetic, calm, romantic, angry, nostalgic, peaceful, uplifting, melancholic, relaxing, motivational)
-2. GENRE preferences (choose from: pop, rock, jazz, classical, electronic, hip-hop, country, folk, blues, reggae, metal, indie, ambient, world)
-3. Additional descriptive keywords or themes
-
-Respond in this EXACT JSON format:
-{
-  "moods": ["mood1", "mood2"],
-  "genres": ["genre1", "genre2"],
-  "keywords": ["keyword1", "keyword2", "keyword3"],
-  "playlistTitle": "Creative playlist name based on the prompt",
-  "description": "Brief description of the playlist vibe"
-}
-
-Be creative but stay within the provided mood and genre options. Extract 1-3 moods, 1-3 genres, and 3-5 keywords.
-`;
-
-            const result = await model.generateContent(enhancedPrompt);
-            const response = await result.response;
-            const text = response.text();
-
-            // Parse Gemini response
-            let geminiData;
-            try {
-                // Clean the response (remove markdown formatting if present)
-                const cleanedText = text.replace(/```json\n?|```\n?/g, '').trim();
-                geminiData = JSON.parse(cleanedText);
-            } catch (parseError) {
-                console.error('Failed to parse Gemini response:', text);
-                throw new Error('Failed to parse AI response');
-            }
+            const { analysis, tracks, playlist } = await generateFromRequest(aiRequest, { playlistName, savePlaylist });
 
-            // Validate extracted data
-            const moods = Array.isArray(geminiData.moods) ? geminiData.moods : [];
-            const genres = Array.isArray(geminiData.genres) ? geminiData.genres : [];
-            const keywords = Array.isArray(geminiData.keywords) ? geminiData.keywords : [];
-
-            // Update AI request with extracted data
-            aiRequest.extractedMoods = moods;
-            aiRequest.extractedGenres = genres;
-            aiRequest.extractedKeywords = keywords;
-            aiRequest.geminiResponse = geminiData;
-            await aiRequest.save();
-
-            // Build search query for tracks
-            const searchCriteria = {
-                isActive: true,
-                $or: []
-            };
-
-            // Add mood criteria
-            if (moods.length > 0) {
-                searchCriteria.$or.push({ mood: { $in: moods } });
-            }
+            const processingTime = Date.now() - startTime;
 
-            // Add genre criteria
-            if (genres.length > 0) {
-                searchCriteria.$or.push({ genre: { $in: genres } });
-            }
+            res.json({
+                status: 'success',
+                message: 'Playlist generated successfully!',
+                data: {
+                    tracks,
+                    playlist,
+                    aiAnalysis: {
+                        extractedMoods: analysis.moods,
+                        extractedGenres: analysis.genres,
+                        extractedKeywords: analysis.keywords,
+                        playlistTitle: analysis.playlistTitle,
+                        description: analysis.description,
+                        provider: analysis.provider
+                    },
+                    processingTime: `${processingTime}ms`,
+                    requestId: aiRequest._id
+                }
+            });
 
-            // Add keyword search in tags, title, or artist
-            if (keywords.length > 0) {
-                const keywordRegex = keywords.map(keyword => new RegExp(keyword, 'i'));
-                searchCriteria.$or.push(
-                    { tags: { $in: keywordRegex } },
-                    { title: { $in: keywordRegex } },
-                    { artist: { $in: keywordRegex } }
-                );
-            }
+        } catch (aiError) {
+            console.error('AI Generation Error:', aiError);
+            await aiRequest.updateStatus('failed', aiError.message);
 
-            // If no criteria matched, fall back to popularity
-            if (searchCriteria.$or.length === 0) {
-                delete searchCriteria.$or;
-            }
+            return res.status(500).json({
+                status: 'error',
+                message: 'Failed to generate AI playlist',
+                error: process.env.NODE_ENV === 'development' ? aiError.message : 'AI service unavailable'
+            });
+        }
 
-            // Find matching tracks
-            let tracks = await Track.find(searchCriteria)
-                .sort({ popularity: -1, playCount: -1 })
-                .limit(50)
-                .select('-__v');
-
-            // If not enough tracks found, get popular tracks as fallback
-            if (tracks.length < 10) {
-                const fallbackTracks = await Track.find({ isActive: true })
-                    .sort({ popularity: -1 })
-                    .limit(20 - tracks.length)
-                    .select('-__v');
-                
-                tracks = [...tracks, ...fallbackTracks];
-            }
+    } catch (error) {
+        next(error);
+    }
+};
 
-            // Shuffle and limit to 15-20 tracks
-            const shuffledTracks = tracks.sort(() => Math.random() - 0.5).slice(0, 20);
+// Write one Server-Sent Event. Events carry the AI request ID, so a reconnecting EventSource
+// sends it back as Last-Event-ID and gets the existing result instead of a new generation.
+const sendEvent = (res, event, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
-            // Update AI request with generated tracks
-            aiRequest.generatedTracks = shuffledTracks.map(track => track._id);
-            await aiRequest.updateStatus('completed');
+// How long a resumed stream waits for a generation that is still running
+const STREAM_RESUME_TIMEOUT_MS = 2 * 60 * 1000;
+const STREAM_RESUME_POLL_MS = 1000;
+
+// Switch the response to an event stream; emit() stops writing once the client has gone
+const openEventStream = (req, res, id) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const stream = { closed: false };
+    req.on('close', () => {
+        stream.closed = true;
+    });
+    stream.emit = (event, data) => {
+        if (!stream.closed) sendEvent(res, event, data, id);
+    };
+    return stream;
+};
 
-            const processingTime = Date.now() - startTime;
+// Replay the outcome of an earlier streamed generation, waiting for it if it is still running
+const resumePlaylistStream = async (req, res, aiRequest) => {
+    const stream = openEventStream(req, res, aiRequest._id);
+    stream.emit('started', { requestId: aiRequest._id, resumed: true });
+
+    const deadline = Date.now() + STREAM_RESUME_TIMEOUT_MS;
+    while (!stream.closed && ['pending', 'processing'].includes(aiRequest.status) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, STREAM_RESUME_POLL_MS));
+        aiRequest = await AIRequest.findById(aiRequest._id);
+    }
+
+    if (aiRequest.status === 'completed') {
+        stream.emit('done', {
+            requestId: aiRequest._id,
+            playlistId: aiRequest.generatedPlaylist || null,
+            processingTime: `${aiRequest.processingTime}ms`
+        });
+    } else if (aiRequest.status === 'failed') {
+        stream.emit('failed', {
+            requestId: aiRequest._id,
+            message: 'Failed to generate AI playlist'
+        });
+    } else {
+        stream.emit('failed', {
+            requestId: aiRequest._id,
+            message: 'Generation is still running; fetch the result from GET /api/ai/requests/:id'
+        });
+    }
+
+    res.end();
+};
+
+// @desc    Generate AI playlist, streaming progress as Server-Sent Events
+// @route   GET /api/ai/generate/stream?prompt=&playlistName=&savePlaylist=&requestId=
+// @access  Private
+const streamPlaylistGeneration = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { prompt, playlistName, savePlaylist = true } = req.query;
+        const startTime = Date.now();
 
-            // Create playlist if requested
-            let playlist = null;
-            if (savePlaylist && shuffledTracks.length > 0) {
-                const finalPlaylistName = playlistName || geminiData.playlistTitle || `AI Playlist - ${new Date().toLocaleDateString()}`;
-                
-                playlist = await Playlist.create({
-                    name: finalPlaylistName,
-                    description: geminiData.description || `Generated from prompt: "${prompt}"`,
-                    owner: req.user._id,
-                    tracks: shuffledTracks.map(track => ({
-                        track: track._id,
-                        addedBy: req.user._id
-                    })),
-                    isAIGenerated: true,
-                    aiPrompt: prompt,
-                    aiGeneratedAt: new Date(),
-                    isPublic: false
+        // Reconnects resume the generation they started instead of running a new one
+        const resumeId = req.query.requestId || req.get('Last-Event-ID');
+        if (resumeId) {
+            const previous = /^[0-9a-f]{24}$/i.test(resumeId)
+                ? await AIRequest.findOne({ _id: resumeId, user: req.user._id })
+                : null;
+
+            if (!previous) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'AI request not found'
                 });
+            }
+
+            return await resumePlaylistStream(req, res, previous);
+        }
+
+        const aiRequest = await AIRequest.create({
+            user: req.user._id,
+            prompt: prompt.trim(),
+            requestType: 'playlist_generation',
+            options: { playlistName, savePlaylist }
+        });
+
+        // Generation carries on if the client goes away; the result is kept on the AI request
+        const { emit } = openEventStream(req, res, aiRequest._id);
+
+        emit('started', { requestId: aiRequest._id });
+        await aiRequest.updateStatus('processing');
+
+        try {
+            const { playlist } = await generateFromRequest(aiRequest, {
+                playlistName,
+                savePlaylist,
+                onStage: (stage, data) => {
+                    if (stage === 'intent') {
+                        emit('intent', {
+                            extractedMoods: data.moods,
+                            extractedGenres: data.genres,
+                            extractedKeywords: data.keywords,
+                            playlistTitle: data.playlistTitle,
+                            description: data.description,
+                            provider: data.provider
+                        });
+                    } else if (stage === 'tracks') {
+                        // One event per track so they can be shown as they are picked
+                        data.forEach((track, index) => emit('track', { position: index, track }));
+                        emit('tracks', { count: data.length });
+                    } else if (stage === 'playlist') {
+                        emit('playlist', { playlist: data });
+                    }
+                }
+            });
+
+            emit('done', {
+                requestId: aiRequest._id,
+                playlistId: playlist ? playlist._id : null,
+                processingTime: `${Date.now() - startTime}ms`
+            });
 
-                // Add playlist to user's playlists
-                const user = await User.findById(req.user._id);
-                user.playlists.push(playlist._id);
-                await user.save();
+        } catch (aiError) {
+            console.error('AI Generation Error:', aiError);
+            await aiRequest.updateStatus('failed', aiError.message);
+
+            emit('failed', {
+                message: 'Failed to generate AI playlist',
+                error: process.env.NODE_ENV === 'development' ? aiError.message : 'AI service unavailable'
+            });
+        }
 
-                aiRequest.generatedPlaylist = playlist._id;
-                await aiRequest.save();
+        res.end();
 
-                // Populate playlist for response
-                await playlist.populate('tracks.track', 'title artist duration thumbnail genre mood');
+    } catch (error) {
+        // Once the stream has started, errors can only be reported as events
+        if (!res.headersSent) return next(error);
+
+        sendEvent(res, 'failed', { message: 'Failed to generate AI playlist' });
+        res.end();
+    }
+};
+
+// @desc    Generate AI playlist from seed tracks, artists or a playlist (optionally blended with a prompt)
+// @route   POST /api/ai/generate/seeds
+// @access  Private
+const generateSeededPlaylist = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { seedTracks = [], seedArtists = [], seedPlaylist, prompt, playlistName, savePlaylist = true } = req.body;
+        const startTime = Date.now();
+
+        if (seedTracks.length === 0 && seedArtists.length === 0 && !seedPlaylist) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Provide at least one seed track, artist or playlist'
+            });
+        }
+
+        let playlistSeed = null;
+        if (seedPlaylist) {
+            playlistSeed = await Playlist.findById(seedPlaylist)
+                .select('name owner collaborators isPublic isUnlisted shareTokens isActive tracks');
+
+            if (!playlistSeed || !playlistSeed.isActive || !playlistSeed.canView(req.user._id, getShareToken(req))) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Seed playlist not found'
+                });
             }
+        }
+
+        const seeds = await collectSeedTracks({ trackIds: seedTracks, artists: seedArtists, playlist: playlistSeed });
+        if (seeds.length === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'No tracks found for these seeds'
+            });
+        }
+
+        // Name the seeds for the request log and the playlist
+        const seedLabel = [
+            ...seedArtists,
+            ...seeds.filter(track => seedTracks.includes(track._id.toString())).map(track => `${track.title} by ${track.artist}`),
+            playlistSeed && playlistSeed.name
+        ].filter(Boolean).slice(0, 3).join(', ');
+
+        const aiRequest = await AIRequest.create({
+            user: req.user._id,
+            prompt: (prompt ? prompt.trim() : `Tracks like ${seedLabel}`).substring(0, 500),
+            requestType: 'track_recommendation',
+            seeds: {
+                tracks: seedTracks,
+                artists: seedArtists,
+                playlist: playlistSeed ? playlistSeed._id : undefined
+            },
+            options: { playlistName, savePlaylist }
+        });
+
+        await aiRequest.updateStatus('processing');
+
+        try {
+            const { analysis, profile, tracks, playlist } = await generateFromSeedTracks(aiRequest, seeds, {
+                prompt,
+                seedLabel,
+                playlistName,
+                savePlaylist
+            });
+
+            const processingTime = Date.now() - startTime;
 
             res.json({
                 status: 'success',
                 message: 'Playlist generated successfully!',
                 data: {
-                    tracks: shuffledTracks,
+                    tracks,
                     playlist,
-                    aiAnalysis: {
-                        extractedMoods: moods,
-                        extractedGenres: genres,
-                        extractedKeywords: keywords,
-                        playlistTitle: geminiData.playlistTitle,
-                        description: geminiData.description
+                    seedProfile: {
+                        seedCount: seeds.length,
+                        genres: profile.genres,
+                        moods: profile.moods,
+                        features: profile.features,
+                        key: profile.key
                     },
+                    aiAnalysis: analysis ? {
+                        extractedMoods: analysis.moods,
+                        extractedGenres: analysis.genres,
+                        extractedKeywords: analysis.keywords,
+                        playlistTitle: analysis.playlistTitle,
+                        description: analysis.description,
+                        provider: analysis.provider
+                    } : null,
                     processingTime: `${processingTime}ms`,
                     requestId: aiRequest._id
                 }
@@ -206,6 +370,42 @@ Be creative but stay within the provided mood and genre options. Extract 1-3 moo
     }
 };
 
+// @desc    Get the status and results of an AI request
+// @route   GET /api/ai/requests/:id
+// @access  Private
+const getAIRequest = async (req, res, next) => {
+    try {
+        const aiRequest = await AIRequest.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        })
+        .populate({
+            path: 'generatedPlaylist',
+            select: 'name description trackCount tracks',
+            populate: { path: 'tracks.track', select: 'title artist duration thumbnail genre mood' }
+        })
+        .populate('generatedTracks', 'title artist duration thumbnail genre mood')
+        .select('-geminiResponse -__v');
+
+        if (!aiRequest) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'AI request not found'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            data: {
+                request: aiRequest
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Get user's AI request history
 // @route   GET /api/ai/history
 // @access  Private
@@ -262,7 +462,8 @@ const regeneratePlaylist = async (req, res, next) => {
         // Use the original prompt to generate new playlist
         req.body = {
             prompt: originalRequest.prompt,
-            savePlaylist: saveAsNew
+            savePlaylist: saveAsNew,
+            async: req.body.async === true
         };
 
         // Call the generate function
@@ -273,6 +474,113 @@ const regeneratePlaylist = async (req, res, next) => {
     }
 };
 
+// @desc    Refine an AI playlist with a follow-up instruction ("more upbeat", "no vocals")
+// @route   POST /api/ai/playlists/:id/refine
+// @access  Private (owner or editor)
+const refinePlaylist = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Loaded and access-checked by checkOwnership
+        const playlist = req.resource;
+        const { instruction } = req.body;
+
+        if (!playlist.isAIGenerated) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Only AI-generated playlists can be refined'
+            });
+        }
+
+        // The conversation lives on the request that generated the playlist
+        let aiRequest = await AIRequest.findOne({ generatedPlaylist: playlist._id }).sort({ createdAt: -1 });
+        if (!aiRequest) {
+            aiRequest = await AIRequest.create({
+                user: playlist.owner,
+                prompt: playlist.aiPrompt || playlist.name,
+                requestType: 'playlist_generation',
+                status: 'completed',
+                generatedPlaylist: playlist._id
+            });
+        }
+
+        const previousIntent = {
+            moods: aiRequest.extractedMoods,
+            genres: aiRequest.extractedGenres,
+            keywords: aiRequest.extractedKeywords
+        };
+        const history = [
+            aiRequest.prompt,
+            ...aiRequest.conversation.filter(turn => turn.role === 'user').map(turn => turn.content)
+        ];
+
+        const refinement = await refineIntent(previousIntent, instruction, history);
+
+        const before = PlaylistRevision.snapshot(playlist);
+        const { added, removed, unmet } = await refinePlaylistTracks(playlist, previousIntent, refinement, req.user._id);
+        if (unmet) {
+            return res.status(422).json({
+                status: 'error',
+                message: `Not enough tracks match this refinement (${unmet}); the playlist was left unchanged`
+            });
+        }
+        await PlaylistRevision.record(playlist, 'refine', req.user._id, { before });
+
+        const summary = refinement.summary || 'Updated the playlist.';
+
+        // Later refinements build on the refined intent
+        aiRequest.extractedMoods = refinement.moods;
+        aiRequest.extractedGenres = refinement.genres;
+        aiRequest.extractedKeywords = refinement.keywords;
+        aiRequest.provider = refinement.provider;
+        aiRequest.generatedTracks = playlist.tracks.map(item => item.track);
+        aiRequest.conversation.push(
+            { role: 'user', content: instruction, user: req.user._id },
+            {
+                role: 'assistant',
+                content: summary,
+                addedTracks: added.map(track => track._id),
+                removedTracks: removed.map(track => track._id)
+            }
+        );
+        await aiRequest.save();
+
+        await playlist.populate('tracks.track', 'title artist duration thumbnail genre mood');
+
+        res.json({
+            status: 'success',
+            message: 'Playlist refined successfully',
+            data: {
+                playlist,
+                changes: {
+                    summary,
+                    added,
+                    removed
+                },
+                aiAnalysis: {
+                    extractedMoods: refinement.moods,
+                    extractedGenres: refinement.genres,
+                    extractedKeywords: refinement.keywords,
+                    adjust: refinement.adjust,
+                    provider: refinement.provider
+                },
+                conversation: aiRequest.conversation,
+                requestId: aiRequest._id
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Rate AI-generated playlist
 // @route   POST /api/ai/rate/:requestId
 // @access  Private
@@ -377,12 +685,82 @@ const generateValidation = [
         .trim()
         .isLength({ max: 100 })
         .withMessage('Playlist name cannot exceed 100 characters'),
+    body('savePlaylist')
+        .optional()
+        .isBoolean()
+        .withMessage('savePlaylist must be a boolean'),
+    body('async')
+        .optional()
+        .isBoolean()
+        .withMessage('async must be a boolean')
+        .toBoolean()
+];
+
+const seedValidation = [
+    body('seedTracks')
+        .optional()
+        .isArray({ max: 10 })
+        .withMessage('seedTracks must be an array of up to 10 track IDs'),
+    body('seedTracks.*')
+        .isMongoId()
+        .withMessage('seedTracks must contain valid track IDs'),
+    body('seedArtists')
+        .optional()
+        .isArray({ max: 5 })
+        .withMessage('seedArtists must be an array of up to 5 artist names'),
+    body('seedArtists.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Artist names must be between 1 and 100 characters'),
+    body('seedPlaylist')
+        .optional()
+        .isMongoId()
+        .withMessage('seedPlaylist must be a playlist ID'),
+    body('prompt')
+        .optional()
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('Prompt must be between 3 and 500 characters'),
+    body('playlistName')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Playlist name cannot exceed 100 characters'),
     body('savePlaylist')
         .optional()
         .isBoolean()
         .withMessage('savePlaylist must be a boolean')
 ];
 
+const streamValidation = [
+    query('prompt')
+        .trim()
+        .isLength({ min: 3, max: 500 })
+        .withMessage('Prompt must be between 3 and 500 characters'),
+    query('playlistName')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Playlist name cannot exceed 100 characters'),
+    query('savePlaylist')
+        .optional()
+        .isBoolean()
+        .withMessage('savePlaylist must be a boolean')
+        .toBoolean(),
+    query('requestId')
+        .optional()
+        .isMongoId()
+        .withMessage('requestId must be an AI request ID')
+];
+
+const refineValidation = [
+    body('instruction')
+        .trim()
+        .isLength({ min: 2, max: 500 })
+        .withMessage('Instruction must be between 2 and 500 characters')
+];
+
 const ratingValidation = [
     body('rating')
         .isInt({ min: 1, max: 5 })
@@ -396,10 +774,17 @@ const ratingValidation = [
 
 module.exports = {
     generatePlaylist,
+    streamPlaylistGeneration,
+    generateSeededPlaylist,
+    getAIRequest,
     getAIHistory,
     regeneratePlaylist,
+    refinePlaylist,
     ratePlaylist,
     getAIAnalytics,
     generateValidation,
+    seedValidation,
+    streamValidation,
+    refineValidation,
     ratingValidation
 };
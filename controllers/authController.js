@@ -1,7 +1,53 @@
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, setTokenCookie, clearTokenCookie } = require('../utils/generateToken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const {
+    generateToken,
+    verifyRefreshToken,
+    setTokenCookie,
+    setRefreshTokenCookie,
+    clearTokenCookie,
+    clearRefreshTokenCookie
+} = require('../utils/generateToken');
 const { getUserAvatar, getRandomAvatar } = require('../utils/avatarHelper');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/mailer');
+
+// Minimum time between verification emails
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+
+// Start a new session and issue its access and refresh tokens
+const issueTokens = async (req, res, userId) => {
+    const { session, refreshToken } = await Session.start(userId, {
+        userAgent: req.get('user-agent') || '',
+        ipAddress: req.ip || '',
+        deviceLabel: req.body.deviceLabel
+    });
+    const token = generateToken(userId, session._id.toString());
+
+    setTokenCookie(res, token);
+    setRefreshTokenCookie(res, refreshToken.token);
+
+    return token;
+};
+
+// Issue a verification token and email it (delivery failures are logged, not fatal)
+const sendVerification = async (user) => {
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    // Built from configuration, never the Host header, so the emailed link can't be pointed elsewhere
+    const verifyUrl = `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}/api/auth/verify/${verificationToken}`;
+
+    try {
+        await sendVerificationEmail(user, verifyUrl);
+        return true;
+    } catch (mailError) {
+        console.error('Verification email error:', mailError);
+        return false;
+    }
+};
 
 // @desc    Register user
 // @route   POST /api/auth/signup
@@ -41,11 +87,11 @@ const signup = async (req, res, next) => {
             // No need to set profilePicture here, it's handled by the User model default
         });
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Send email verification link
+        await sendVerification(user);
 
-        // Set cookie
-        setTokenCookie(res, token);
+        // Generate access and refresh tokens and set cookies
+        const token = await issueTokens(req, res, user._id);
 
         // Remove password from output
         user.password = undefined;
@@ -107,11 +153,8 @@ const login = async (req, res, next) => {
         user.lastActive = new Date();
         await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
-
-        // Set cookie
-        setTokenCookie(res, token);
+        // Generate access and refresh tokens and set cookies
+        const token = await issueTokens(req, res, user._id);
 
         // Remove password from output
         user.password = undefined;
@@ -135,8 +178,12 @@ const login = async (req, res, next) => {
 // @access  Private
 const logout = async (req, res, next) => {
     try {
-        // Clear cookie
+        // Revoke the current session along with its refresh tokens
+        await req.authSession.revoke();
+
+        // Clear cookies
         clearTokenCookie(res);
+        clearRefreshTokenCookie(res);
 
         res.json({
             status: 'success',
@@ -148,6 +195,167 @@ const logout = async (req, res, next) => {
     }
 };
 
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token cookie)
+const refresh = async (req, res, next) => {
+    try {
+        const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+        if (!refreshToken) {
+            return res.status(401).json({
+                status: 'error',
+                message: 'No refresh token provided'
+            });
+        }
+
+        let rotated;
+        try {
+            rotated = await RefreshToken.rotate(refreshToken);
+        } catch (error) {
+            if (error.message === 'Invalid refresh token' || error.message === 'Refresh token reuse detected') {
+                // A replayed token means the session is compromised
+                if (error.message === 'Refresh token reuse detected') {
+                    const { family } = verifyRefreshToken(refreshToken);
+                    await Session.updateOne({ _id: family }, { revokedAt: new Date() });
+                }
+
+                clearTokenCookie(res);
+                clearRefreshTokenCookie(res);
+                return res.status(401).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        const session = await Session.findActive(rotated.family, rotated.userId);
+        if (!session) {
+            await RefreshToken.revokeFamily(rotated.family);
+            clearTokenCookie(res);
+            clearRefreshTokenCookie(res);
+            return res.status(401).json({
+                status: 'error',
+                message: 'Session has expired or been revoked'
+            });
+        }
+
+        const user = await User.findById(rotated.userId);
+        if (!user) {
+            await session.revoke();
+            clearTokenCookie(res);
+            clearRefreshTokenCookie(res);
+            return res.status(401).json({
+                status: 'error',
+                message: 'Token is valid but user no longer exists'
+            });
+        }
+
+        // Extend the session to match the new refresh token
+        session.expiresAt = rotated.expiresAt;
+        session.lastSeenAt = new Date();
+        await session.save();
+
+        // Generate new access token and set cookies
+        const token = generateToken(user._id, session._id.toString());
+        setTokenCookie(res, token);
+        setRefreshTokenCookie(res, rotated.token);
+
+        res.json({
+            status: 'success',
+            message: 'Token refreshed successfully',
+            data: {
+                token
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.getUserSessions(req.user._id);
+
+        res.json({
+            status: 'success',
+            data: {
+                sessions: sessions.map(session => ({
+                    ...session.toJSON(),
+                    isCurrent: session._id.toString() === req.authSession._id.toString()
+                }))
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Revoke a single session (log out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res, next) => {
+    try {
+        const session = await Session.findActive(req.params.id, req.user._id);
+
+        if (!session) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Session not found'
+            });
+        }
+
+        await session.revoke();
+
+        // Revoking the current session is the same as logging out
+        const isCurrent = session._id.toString() === req.authSession._id.toString();
+        if (isCurrent) {
+            clearTokenCookie(res);
+            clearRefreshTokenCookie(res);
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Session revoked successfully',
+            data: {
+                isCurrent
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Log out of every session
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res, next) => {
+    try {
+        const revokedCount = await Session.revokeAllForUser(req.user._id);
+
+        clearTokenCookie(res);
+        clearRefreshTokenCookie(res);
+
+        res.json({
+            status: 'success',
+            message: 'Logged out of all sessions',
+            data: {
+                revokedCount
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -280,9 +488,193 @@ const changePassword = async (req, res, next) => {
         user.password = newPassword;
         await user.save();
 
+        // Revoke every existing session, then sign this device back in
+        await Session.revokeAllForUser(user._id);
+        const token = await issueTokens(req, res, user._id);
+
+        res.json({
+            status: 'success',
+            message: 'Password changed successfully',
+            data: {
+                token
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+    try {
+        const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+        const user = await User.findOne({
+            emailVerificationToken: hashedToken,
+            emailVerificationExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Verification token is invalid or has expired'
+            });
+        }
+
+        user.isVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save();
+
+        res.json({
+            status: 'success',
+            message: 'Email verified successfully'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify/resend
+// @access  Private
+const resendVerification = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id);
+
+        if (user.isVerified) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Email is already verified'
+            });
+        }
+
+        // Enforce cooldown between emails
+        if (user.emailVerificationSentAt) {
+            const timeDiff = Date.now() - user.emailVerificationSentAt;
+            if (timeDiff < VERIFICATION_RESEND_COOLDOWN) {
+                return res.status(429).json({
+                    status: 'error',
+                    message: 'Verification email was sent recently. Please try again later.',
+                    retryAfter: Math.ceil((VERIFICATION_RESEND_COOLDOWN - timeDiff) / 1000) // seconds
+                });
+            }
+        }
+
+        const sent = await sendVerification(user);
+        if (!sent) {
+            return res.status(500).json({
+                status: 'error',
+                message: 'Failed to send verification email. Please try again later.'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Verification email sent'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Send password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Same response whether or not the email exists, so accounts can't be enumerated
+        const genericResponse = {
+            status: 'success',
+            message: 'If an account with that email exists, a password reset link has been sent'
+        };
+
+        const user = await User.findOne({ email: req.body.email });
+        if (!user) {
+            return res.json(genericResponse);
+        }
+
+        const resetToken = user.createPasswordResetToken();
+        await user.save();
+
+        const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password/${resetToken}`;
+
+        try {
+            await sendPasswordResetEmail(user, resetUrl);
+        } catch (mailError) {
+            // Still send the generic response: an error here would reveal that the account exists
+            console.error('Password reset email error:', mailError);
+
+            user.passwordResetToken = undefined;
+            user.passwordResetExpires = undefined;
+            await user.save();
+        }
+
+        res.json(genericResponse);
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Reset password with emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+        const user = await User.findOne({
+            passwordResetToken: hashedToken,
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Password reset token is invalid or has expired'
+            });
+        }
+
+        // Update password and burn the token
+        user.password = req.body.password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+
+        // Revoke every existing session, then sign this device in
+        await Session.revokeAllForUser(user._id);
+        const token = await issueTokens(req, res, user._id);
+
         res.json({
             status: 'success',
-            message: 'Password changed successfully'
+            message: 'Password reset successfully',
+            data: {
+                token
+            }
         });
 
     } catch (error) {
@@ -348,15 +740,38 @@ const passwordValidation = [
         .withMessage('New password must be at least 6 characters long')
 ];
 
+const forgotPasswordValidation = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+];
+
 module.exports = {
     signup,
     login,
     logout,
+    refresh,
+    getSessions,
+    revokeSession,
+    logoutAll,
     getMe,
     updateProfile,
     changePassword,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
     signupValidation,
     loginValidation,
     profileValidation,
-    passwordValidation
+    passwordValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation
 };
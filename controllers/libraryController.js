@@ -0,0 +1,401 @@
+const { validationResult, body } = require('express-validator');
+const Playlist = require('../models/Playlist');
+const PlaylistFolder = require('../models/PlaylistFolder');
+const User = require('../models/User');
+const { LIBRARY_SORTS } = require('../utils/playlistLibrary');
+
+// Folders can be nested, but not endlessly
+const MAX_FOLDER_DEPTH = 5;
+const MAX_PINNED_PLAYLISTS = 10;
+
+// A playlist belongs in a user's library if they own it, collaborate on it, follow it or like it
+// (followed and liked playlists only while the user can still see them)
+const findLibraryPlaylist = async (playlistId, user) => {
+    const playlist = await Playlist.findById(playlistId).select('owner collaborators followers isPublic isUnlisted isActive');
+    if (!playlist || !playlist.isActive) return null;
+
+    const isFollowing = playlist.followers.some(follower => follower.toString() === user._id.toString());
+    const isLiked = user.likedPlaylists.some(id => id.toString() === playlist._id.toString());
+    return playlist.getAccessRole(user._id) || ((isFollowing || isLiked) && playlist.canView(user._id)) ? playlist : null;
+};
+
+// Check that a new parent exists, isn't the folder itself (or inside it) and keeps nesting shallow
+const validateParent = async (ownerId, parentId, folder = null) => {
+    if (!parentId) return null;
+
+    const parent = await PlaylistFolder.findOne({ _id: parentId, owner: ownerId });
+    if (!parent) {
+        return 'Parent folder not found';
+    }
+    if (folder && await PlaylistFolder.isWithin(parent._id, folder._id)) {
+        return 'A folder cannot be moved inside itself';
+    }
+    if (await PlaylistFolder.getDepth(parent._id) >= MAX_FOLDER_DEPTH) {
+        return `Folders cannot be nested more than ${MAX_FOLDER_DEPTH} levels deep`;
+    }
+    return null;
+};
+
+// @desc    Get the user's playlist folders
+// @route   GET /api/playlists/folders
+// @access  Private
+const getFolders = async (req, res, next) => {
+    try {
+        const folders = await PlaylistFolder.getUserFolders(req.user._id);
+
+        res.json({
+            status: 'success',
+            data: {
+                folders
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a playlist folder
+// @route   POST /api/playlists/folders
+// @access  Private
+const createFolder = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, parent = null } = req.body;
+
+        const parentError = await validateParent(req.user._id, parent);
+        if (parentError) {
+            return res.status(400).json({
+                status: 'error',
+                message: parentError
+            });
+        }
+
+        // New folders go to the end of their parent
+        const position = await PlaylistFolder.countDocuments({ owner: req.user._id, parent });
+        const folder = await PlaylistFolder.create({
+            owner: req.user._id,
+            name,
+            parent,
+            position
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Folder created successfully',
+            data: {
+                folder
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Rename, move or reposition a folder
+// @route   PUT /api/playlists/folders/:folderId
+// @access  Private
+const updateFolder = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const folder = await PlaylistFolder.findOne({ _id: req.params.folderId, owner: req.user._id });
+        if (!folder) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Folder not found'
+            });
+        }
+
+        const { name, parent, position } = req.body;
+
+        if (parent !== undefined) {
+            const parentError = await validateParent(req.user._id, parent, folder);
+            if (parentError) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: parentError
+                });
+            }
+            folder.parent = parent || null;
+        }
+        if (name !== undefined) folder.name = name;
+        if (position !== undefined) folder.position = position;
+
+        await folder.save();
+
+        res.json({
+            status: 'success',
+            message: 'Folder updated successfully',
+            data: {
+                folder
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a folder; its playlists and subfolders move up to its parent
+// @route   DELETE /api/playlists/folders/:folderId
+// @access  Private
+const deleteFolder = async (req, res, next) => {
+    try {
+        const folder = await PlaylistFolder.findOne({ _id: req.params.folderId, owner: req.user._id });
+        if (!folder) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Folder not found'
+            });
+        }
+
+        await PlaylistFolder.updateMany(
+            { owner: req.user._id, parent: folder._id },
+            { $set: { parent: folder.parent } }
+        );
+
+        if (folder.parent && folder.playlists.length > 0) {
+            await PlaylistFolder.updateOne(
+                { _id: folder.parent },
+                { $push: { playlists: { $each: folder.playlists } } }
+            );
+        }
+
+        await folder.deleteOne();
+
+        res.json({
+            status: 'success',
+            message: 'Folder deleted successfully'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    File a playlist into a folder (moving it out of any other folder)
+// @route   PUT /api/playlists/folders/:folderId/playlists
+// @access  Private
+const addPlaylistToFolder = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const folder = await PlaylistFolder.findOne({ _id: req.params.folderId, owner: req.user._id });
+        if (!folder) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Folder not found'
+            });
+        }
+
+        const playlist = await findLibraryPlaylist(req.body.playlistId, req.user);
+        if (!playlist) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Playlist not found in your library'
+            });
+        }
+
+        await PlaylistFolder.fileInto(req.user._id, playlist._id, folder._id);
+
+        res.json({
+            status: 'success',
+            message: `Playlist moved to ${folder.name}`
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Take a playlist out of a folder
+// @route   DELETE /api/playlists/folders/:folderId/playlists/:playlistId
+// @access  Private
+const removePlaylistFromFolder = async (req, res, next) => {
+    try {
+        const { modifiedCount } = await PlaylistFolder.updateOne(
+            { _id: req.params.folderId, owner: req.user._id },
+            { $pull: { playlists: req.params.playlistId } }
+        );
+
+        if (modifiedCount === 0) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Playlist is not in this folder'
+            });
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Playlist removed from folder'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Pin or unpin a playlist at the top of the library
+// @route   POST /api/playlists/:id/pin
+// @access  Private
+const togglePinPlaylist = async (req, res, next) => {
+    try {
+        const playlist = await findLibraryPlaylist(req.params.id, req.user);
+        if (!playlist) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Playlist not found in your library'
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+        const isPinned = user.library.pinned.some(id => id.toString() === playlist._id.toString());
+
+        if (isPinned) {
+            user.library.pinned.pull(playlist._id);
+        } else {
+            if (user.library.pinned.length >= MAX_PINNED_PLAYLISTS) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `You can pin up to ${MAX_PINNED_PLAYLISTS} playlists`
+                });
+            }
+            user.library.pinned.push(playlist._id);
+        }
+
+        await user.save();
+
+        res.json({
+            status: 'success',
+            message: isPinned ? 'Playlist unpinned' : 'Playlist pinned',
+            data: {
+                isPinned: !isPinned,
+                pinned: user.library.pinned
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update library sort and custom playlist order
+// @route   PUT /api/playlists/library
+// @access  Private
+const updateLibrarySettings = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { sort, order } = req.body;
+        const user = await User.findById(req.user._id);
+
+        if (sort !== undefined) user.library.sort = sort;
+        if (order !== undefined) user.library.order = [...new Set(order)];
+
+        await user.save();
+
+        res.json({
+            status: 'success',
+            message: 'Library settings updated',
+            data: {
+                library: user.library
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Validation rules
+const folderNameRule = () => body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Folder name must be between 1 and 100 characters');
+
+const createFolderValidation = [
+    folderNameRule(),
+    body('parent')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('parent must be a folder ID')
+];
+
+const updateFolderValidation = [
+    folderNameRule().optional(),
+    body('parent')
+        .optional({ nullable: true })
+        .isMongoId()
+        .withMessage('parent must be a folder ID or null'),
+    body('position')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('position must be a non-negative integer')
+        .toInt()
+];
+
+const folderPlaylistValidation = [
+    body('playlistId')
+        .isMongoId()
+        .withMessage('Valid playlist ID is required')
+];
+
+const librarySettingsValidation = [
+    body('sort')
+        .optional()
+        .isIn(LIBRARY_SORTS)
+        .withMessage(`sort must be one of: ${LIBRARY_SORTS.join(', ')}`),
+    body('order')
+        .optional()
+        .isArray()
+        .withMessage('order must be an array of playlist IDs'),
+    body('order.*')
+        .isMongoId()
+        .withMessage('order must contain valid playlist IDs')
+];
+
+module.exports = {
+    getFolders,
+    createFolder,
+    updateFolder,
+    deleteFolder,
+    addPlaylistToFolder,
+    removePlaylistFromFolder,
+    togglePinPlaylist,
+    updateLibrarySettings,
+    createFolderValidation,
+    updateFolderValidation,
+    folderPlaylistValidation,
+    librarySettingsValidation
+};
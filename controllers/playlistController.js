@@ -1,29 +1,143 @@
-const { validationResult, body } = require('express-validator');
+const { validationResult, body, query } = require('express-validator');
 const Playlist = require('../models/Playlist');
 const Track = require('../models/Track');
 const User = require('../models/User');
+const PlaylistRevision = require('../models/PlaylistRevision');
+const PlaylistFolder = require('../models/PlaylistFolder');
+const { PLAYLIST_FORMATS, IMPORT_FORMATS, serializePlaylist, parsePlaylist } = require('../utils/playlistFormats');
+const { matchEntries } = require('../utils/trackMatcher');
+const { getShareToken, hasVerifiedEmail } = require('../middleware/auth');
+const { evaluateRules, refreshSmartPlaylist, refreshIfDue } = require('../utils/smartPlaylist');
+const {
+    LIBRARY_SOURCES,
+    LIBRARY_TYPES,
+    LIBRARY_SORTS,
+    LIBRARY_SORT_QUERIES,
+    buildLibraryQuery,
+    applyCustomOrder,
+    buildLibraryTree
+} = require('../utils/playlistLibrary');
+
+// Reply with 409 when the client edited an outdated track list
+const tracksVersionConflict = (res, playlist) => {
+    return res.status(409).json({
+        status: 'error',
+        message: 'Playlist was modified since you loaded it. Please reload and try again.',
+        data: {
+            tracksVersion: playlist.tracksVersion
+        }
+    });
+};
+
+// Allowed values come straight from the schemas
+const GENRES = Track.schema.path('genre').enumValues;
+const MOODS = Track.schema.path('mood').caster.enumValues;
+const SMART_SORTS = Playlist.schema.path('smartRules').schema.path('sort').enumValues;
+
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+// Each imported entry is matched with its own queries, so cap the file size in tracks
+const MAX_IMPORT_ENTRIES = 500;
+const SEARCH_SORTS = ['relevance', 'followers', 'plays', 'recent'];
+
+// Reply with 400 when a client tries to edit a smart playlist's tracks by hand
+const smartPlaylistLocked = (res) => {
+    return res.status(400).json({
+        status: 'error',
+        message: 'Smart playlist tracks are managed by its rules. Edit the rules instead.'
+    });
+};
 
-// @desc    Get user's playlists
-// @route   GET /api/playlists
+// Create a playlist and add it to the owner's library (shared by create, import and smart playlists)
+const createUserPlaylist = async (userId, { name, description, isPublic, trackIds, ...fields }) => {
+    const playlist = await Playlist.create({
+        name,
+        description,
+        owner: userId,
+        isPublic,
+        tracks: trackIds.map(trackId => ({
+            track: trackId,
+            addedBy: userId
+        })),
+        ...fields
+    });
+
+    await PlaylistRevision.record(playlist, 'create', userId);
+
+    // Add playlist to user's playlists
+    const user = await User.findById(userId);
+    user.playlists.push(playlist._id);
+    await user.save();
+
+    // Populate the created playlist
+    await playlist.populate([
+        { path: 'tracks.track', select: 'title artist duration thumbnail' },
+        { path: 'owner', select: 'username profilePicture' }
+    ]);
+
+    return playlist;
+};
+
+// @desc    Get user's playlists (flat and paginated, or as a folder tree with ?view=tree)
+// @route   GET /api/playlists?source=&type=&sort=&view=
 // @access  Private
 const getUserPlaylists = async (req, res, next) => {
     try {
-        const { page = 1, limit = 20, includePublic = false } = req.query;
+        const { page = 1, limit = 20, source = 'library', type, view = 'list' } = req.query;
+        const sort = req.query.sort || req.user.library?.sort || 'recent';
         const skip = (page - 1) * limit;
         const limitNum = Math.min(parseInt(limit), 50);
 
-        // Build query
-        const query = { owner: req.user._id, isActive: true };
-        if (!includePublic) {
-            query.isPublic = { $in: [true, false] }; // Get all playlists
+        const invalid = [
+            !LIBRARY_SOURCES.includes(source) && `source must be one of: ${LIBRARY_SOURCES.join(', ')}`,
+            type && !LIBRARY_TYPES.includes(type) && `type must be one of: ${LIBRARY_TYPES.join(', ')}`,
+            !LIBRARY_SORTS.includes(sort) && `sort must be one of: ${LIBRARY_SORTS.join(', ')}`,
+            !['list', 'tree'].includes(view) && 'view must be list or tree'
+        ].find(Boolean);
+
+        if (invalid) {
+            return res.status(400).json({
+                status: 'error',
+                message: invalid
+            });
+        }
+
+        // Build query: owned and shared playlists by default, narrowed by source and type
+        const query = buildLibraryQuery(req.user._id, { source, type, likedPlaylists: req.user.likedPlaylists });
+        const customOrder = req.user.library?.order || [];
+
+        // The tree holds the whole library, so tracks aren't populated here
+        if (view === 'tree') {
+            const playlists = await Playlist.find(query)
+                .sort(LIBRARY_SORT_QUERIES[sort])
+                .select('-__v');
+            const folders = await PlaylistFolder.getUserFolders(req.user._id);
+            const sorted = sort === 'custom' ? applyCustomOrder(playlists, customOrder) : playlists;
+
+            return res.json({
+                status: 'success',
+                data: {
+                    library: buildLibraryTree(sorted, folders, { pinned: req.user.library?.pinned }),
+                    sort,
+                    totalPlaylists: playlists.length
+                }
+            });
         }
 
-        const playlists = await Playlist.find(query)
-            .populate('tracks.track', 'title artist duration thumbnail')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limitNum)
-            .select('-__v');
+        let playlists;
+        if (sort === 'custom') {
+            // A custom order can't be expressed as a Mongo sort, so page in memory
+            const all = await Playlist.find(query)
+                .populate('tracks.track', 'title artist duration thumbnail')
+                .select('-__v');
+            playlists = applyCustomOrder(all, customOrder).slice(skip, skip + limitNum);
+        } else {
+            playlists = await Playlist.find(query)
+                .populate('tracks.track', 'title artist duration thumbnail')
+                .sort(LIBRARY_SORT_QUERIES[sort])
+                .skip(skip)
+                .limit(limitNum)
+                .select('-__v');
+        }
 
         const total = await Playlist.countDocuments(query);
 
@@ -75,6 +189,111 @@ const getPublicPlaylists = async (req, res, next) => {
     }
 };
 
+// @desc    Search public playlists
+// @route   GET /api/playlists/search?q=&genre=&mood=&ai=&owner=&sort=
+// @access  Public
+const searchPlaylists = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { q, genre, mood, ai, owner } = req.query;
+        const sort = req.query.sort || (q ? 'relevance' : 'plays');
+        // These go straight into $skip and $limit, so clamp them to sane values
+        const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const skip = (pageNum - 1) * limitNum;
+
+        const genres = genre ? genre.split(',') : [];
+        const moods = mood ? mood.split(',') : [];
+
+        const invalid = [
+            q !== undefined && q.trim().length < 2 && 'Search query must be at least 2 characters long',
+            genres.some(value => !GENRES.includes(value)) && `genre must be one of: ${GENRES.join(', ')}`,
+            moods.some(value => !MOODS.includes(value)) && `mood must be one of: ${MOODS.join(', ')}`,
+            !SEARCH_SORTS.includes(sort) && `sort must be one of: ${SEARCH_SORTS.join(', ')}`
+        ].find(Boolean);
+
+        if (invalid) {
+            return res.status(400).json({
+                status: 'error',
+                message: invalid
+            });
+        }
+
+        const filters = {};
+        if (genres.length > 0) filters.genre = { $in: genres };
+        if (moods.length > 0) filters.mood = { $in: moods };
+        if (ai === 'true') filters.isAIGenerated = true;
+
+        // Owner can be a user ID or a username
+        if (owner) {
+            const ownerUser = await User.findOne(
+                /^[0-9a-f]{24}$/i.test(owner) ? { _id: owner } : { username: owner }
+            ).select('_id');
+
+            if (!ownerUser) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Owner not found'
+                });
+            }
+            filters.owner = ownerUser._id;
+        }
+
+        const { playlists, total } = await Playlist.searchPlaylists(q && q.trim(), filters, {
+            sort,
+            limit: limitNum,
+            skip
+        });
+
+        res.json({
+            status: 'success',
+            data: {
+                playlists,
+                pagination: {
+                    currentPage: pageNum,
+                    totalPages: Math.ceil(total / limitNum),
+                    totalPlaylists: total,
+                    limit: limitNum,
+                    query: q,
+                    sort
+                }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get featured AI-generated playlists
+// @route   GET /api/playlists/featured
+// @access  Public
+const getFeaturedPlaylists = async (req, res, next) => {
+    try {
+        const limitNum = Math.min(parseInt(req.query.limit) || 20, 50);
+
+        const playlists = await Playlist.getAIPlaylists(limitNum);
+
+        res.json({
+            status: 'success',
+            data: {
+                playlists
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Get single playlist
 // @route   GET /api/playlists/:id
 // @access  Public (if public) / Private (if owned)
@@ -84,6 +303,8 @@ const getPlaylist = async (req, res, next) => {
             .populate('owner', 'username profilePicture')
             .populate('tracks.track', 'title artist album duration thumbnail genre mood')
             .populate('tracks.addedBy', 'username')
+            .populate('collaborators.user', 'username profilePicture')
+            .populate('forkedFrom.owner', 'username')
             .select('-__v');
 
         if (!playlist || !playlist.isActive) {
@@ -93,17 +314,34 @@ const getPlaylist = async (req, res, next) => {
             });
         }
 
-        // Check if user can access this playlist
-        const canAccess = playlist.isPublic || 
-                         (req.user && playlist.owner._id.toString() === req.user._id.toString());
+        // Check if user can access this playlist (owner, accepted collaborator or share link)
+        const shareToken = getShareToken(req);
+        const accessRole = playlist.getAccessRole(req.user?._id, shareToken);
 
-        if (!canAccess) {
+        if (!playlist.canView(req.user?._id, shareToken)) {
             return res.status(403).json({
                 status: 'error',
                 message: 'Access denied. This playlist is private.'
             });
         }
 
+        const share = shareToken ? playlist.findShareToken(shareToken) : null;
+        if (share) {
+            await Playlist.updateOne(
+                { _id: playlist._id, 'shareTokens._id': share._id },
+                { $set: { 'shareTokens.$.lastUsedAt': new Date() } }
+            );
+        }
+
+        // Smart playlists are re-evaluated on read once their refresh interval has passed
+        if (await refreshIfDue(playlist)) {
+            playlist.depopulate('tracks.track');
+            await playlist.populate([
+                { path: 'tracks.track', select: 'title artist album duration thumbnail genre mood' },
+                { path: 'tracks.addedBy', select: 'username' }
+            ]);
+        }
+
         // Check if user follows this playlist (if authenticated)
         let isFollowing = false;
         if (req.user) {
@@ -115,7 +353,8 @@ const getPlaylist = async (req, res, next) => {
             data: {
                 playlist,
                 isFollowing,
-                isOwner: req.user ? playlist.owner._id.toString() === req.user._id.toString() : false
+                isOwner: accessRole === 'owner',
+                accessRole
             }
         });
 
@@ -124,6 +363,54 @@ const getPlaylist = async (req, res, next) => {
     }
 };
 
+// @desc    Export a playlist as M3U8, XSPF or JSPF
+// @route   GET /api/playlists/:id/export?format=m3u8|xspf|jspf
+// @access  Public (if public) / Private (if owned or shared)
+const exportPlaylist = async (req, res, next) => {
+    try {
+        const format = (req.query.format || 'm3u8').toLowerCase();
+        if (!PLAYLIST_FORMATS[format]) {
+            return res.status(400).json({
+                status: 'error',
+                message: `format must be one of: ${Object.keys(PLAYLIST_FORMATS).join(', ')}`
+            });
+        }
+
+        const playlist = await Playlist.findById(req.params.id)
+            .populate('owner', 'username')
+            .populate('tracks.track', 'title artist album duration youtubeId youtubeUrl thumbnail');
+
+        if (!playlist || !playlist.isActive) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Playlist not found'
+            });
+        }
+
+        // Same access rules as getPlaylist
+        if (!playlist.canView(req.user?._id, getShareToken(req))) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Access denied. This playlist is private.'
+            });
+        }
+
+        if (await refreshIfDue(playlist)) {
+            playlist.depopulate('tracks.track');
+            await playlist.populate('tracks.track', 'title artist album duration youtubeId youtubeUrl thumbnail');
+        }
+
+        const filename = playlist.name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'playlist';
+
+        res.setHeader('Content-Type', PLAYLIST_FORMATS[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+        res.send(serializePlaylist(playlist, format));
+
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Create new playlist
 // @route   POST /api/playlists
 // @access  Private
@@ -138,7 +425,7 @@ const createPlaylist = async (req, res, next) => {
             });
         }
 
-        const { name, description, isPublic = false, trackIds = [] } = req.body;
+        const { name, description, isPublic = false, visibility, trackIds = [] } = req.body;
 
         // Validate track IDs if provided
         let validTracks = [];
@@ -156,29 +443,14 @@ const createPlaylist = async (req, res, next) => {
             }
         }
 
-        // Create playlist
-        const playlist = await Playlist.create({
+        const playlist = await createUserPlaylist(req.user._id, {
             name,
             description,
-            owner: req.user._id,
-            isPublic,
-            tracks: validTracks.map(track => ({
-                track: track._id,
-                addedBy: req.user._id
-            }))
+            isPublic: visibility ? visibility === 'public' : isPublic,
+            isUnlisted: visibility === 'unlisted',
+            trackIds: validTracks.map(track => track._id)
         });
 
-        // Add playlist to user's playlists
-        const user = await User.findById(req.user._id);
-        user.playlists.push(playlist._id);
-        await user.save();
-
-        // Populate the created playlist
-        await playlist.populate([
-            { path: 'tracks.track', select: 'title artist duration thumbnail' },
-            { path: 'owner', select: 'username profilePicture' }
-        ]);
-
         res.status(201).json({
             status: 'success',
             message: 'Playlist created successfully',
@@ -192,46 +464,134 @@ const createPlaylist = async (req, res, next) => {
     }
 };
 
-// @desc    Update playlist
-// @route   PUT /api/playlists/:id
-// @access  Private (owner only)
-const updatePlaylist = async (req, res, next) => {
+// @desc    Import a playlist from M3U/M3U8, XSPF, JSPF or "Artist - Title" text
+// @route   POST /api/playlists/import?format=&name=&dryRun=true
+// @access  Private
+const importPlaylist = async (req, res, next) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
+        const requestedFormat = req.query.format ? req.query.format.toLowerCase() : undefined;
+        if (requestedFormat && !IMPORT_FORMATS.includes(requestedFormat)) {
             return res.status(400).json({
                 status: 'error',
-                message: 'Validation failed',
-                errors: errors.array()
+                message: `format must be one of: ${IMPORT_FORMATS.join(', ')}`
             });
         }
 
-        const playlist = await Playlist.findById(req.params.id);
+        // JSPF sent as application/json has already been parsed by express.json
+        const isParsedJSON = req.body && typeof req.body === 'object' && req.body.playlist;
+        const content = isParsedJSON ? JSON.stringify(req.body) : req.body;
 
-        if (!playlist || !playlist.isActive) {
-            return res.status(404).json({
+        if (typeof content !== 'string' || content.trim() === '') {
+            return res.status(400).json({
                 status: 'error',
-                message: 'Playlist not found'
+                message: 'Playlist file is empty'
             });
         }
 
-        // Check ownership
-        if (playlist.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({
+        let parsed;
+        try {
+            parsed = parsePlaylist(content, isParsedJSON ? 'jspf' : requestedFormat);
+        } catch (error) {
+            return res.status(400).json({
+                status: 'error',
+                message: error.message
+            });
+        }
+
+        if (parsed.entries.length === 0) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'No tracks found in the playlist file'
+            });
+        }
+
+        if (parsed.entries.length > MAX_IMPORT_ENTRIES) {
+            return res.status(400).json({
+                status: 'error',
+                message: `Playlist files can contain at most ${MAX_IMPORT_ENTRIES} tracks`
+            });
+        }
+
+        const results = await matchEntries(parsed.entries);
+        const report = {
+            format: parsed.format,
+            total: results.length,
+            matched: results.filter(result => result.status === 'matched'),
+            ambiguous: results.filter(result => result.status === 'ambiguous'),
+            unmatched: results.filter(result => result.status === 'unmatched')
+        };
+
+        // The same track can appear twice in a file but only once in a playlist
+        const trackIds = [...new Set(report.matched.map(result => result.track._id.toString()))];
+        const summary = `${report.matched.length} matched, ${report.ambiguous.length} ambiguous, ` +
+            `${report.unmatched.length} unmatched`;
+
+        if (req.query.dryRun === 'true' || trackIds.length === 0) {
+            return res.status(trackIds.length === 0 ? 400 : 200).json({
+                status: trackIds.length === 0 ? 'error' : 'success',
+                message: trackIds.length === 0 ? `No tracks could be matched (${summary})` : `Dry run complete: ${summary}`,
+                data: {
+                    report
+                }
+            });
+        }
+
+        const name = (req.query.name || parsed.name || `Imported Playlist - ${new Date().toLocaleDateString()}`)
+            .trim()
+            .substring(0, 100);
+
+        // Imports start private; publish them with PUT /api/playlists/:id
+        const playlist = await createUserPlaylist(req.user._id, {
+            name,
+            description: `Imported from ${parsed.format.toUpperCase()}`,
+            isPublic: false,
+            trackIds
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: `Playlist imported: ${summary}`,
+            data: {
+                playlist,
+                report
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Update playlist
+// @route   PUT /api/playlists/:id
+// @access  Private (owner only)
+const updatePlaylist = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 status: 'error',
-                message: 'Access denied. You can only edit your own playlists.'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        const { name, description, isPublic, coverImage } = req.body;
+        // Loaded and access-checked by checkOwnership
+        const playlist = req.resource;
+
+        const { name, description, isPublic, visibility, coverImage, allowForks } = req.body;
+        const before = PlaylistRevision.snapshot(playlist);
 
         // Update fields
         if (name !== undefined) playlist.name = name;
         if (description !== undefined) playlist.description = description;
-        if (isPublic !== undefined) playlist.isPublic = isPublic;
+        if (isPublic !== undefined) playlist.visibility = isPublic ? 'public' : 'private';
+        if (visibility !== undefined) playlist.visibility = visibility;
         if (coverImage !== undefined) playlist.coverImage = coverImage;
+        if (allowForks !== undefined) playlist.allowForks = allowForks;
 
         await playlist.save();
+        await PlaylistRevision.record(playlist, 'update', req.user._id, { before });
 
         // Populate updated playlist
         await playlist.populate([
@@ -257,22 +617,8 @@ const updatePlaylist = async (req, res, next) => {
 // @access  Private (owner only)
 const deletePlaylist = async (req, res, next) => {
     try {
-        const playlist = await Playlist.findById(req.params.id);
-
-        if (!playlist || !playlist.isActive) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Playlist not found'
-            });
-        }
-
-        // Check ownership
-        if (playlist.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Access denied. You can only delete your own playlists.'
-            });
-        }
+        // Loaded and access-checked by checkOwnership
+        const playlist = req.resource;
 
         // Soft delete (mark as inactive)
         playlist.isActive = false;
@@ -295,7 +641,7 @@ const deletePlaylist = async (req, res, next) => {
 
 // @desc    Add track to playlist
 // @route   POST /api/playlists/:id/tracks
-// @access  Private (owner only)
+// @access  Private (owner or editor)
 const addTrackToPlaylist = async (req, res, next) => {
     try {
         const errors = validationResult(req);
@@ -308,21 +654,11 @@ const addTrackToPlaylist = async (req, res, next) => {
         }
 
         const { trackId } = req.body;
-        const playlist = await Playlist.findById(req.params.id);
-
-        if (!playlist || !playlist.isActive) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Playlist not found'
-            });
-        }
+        // Loaded and access-checked by checkOwnership
+        const playlist = req.resource;
 
-        // Check ownership
-        if (playlist.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Access denied. You can only modify your own playlists.'
-            });
+        if (playlist.isSmart) {
+            return smartPlaylistLocked(res);
         }
 
         // Validate track
@@ -334,6 +670,7 @@ const addTrackToPlaylist = async (req, res, next) => {
             });
         }
 
+        const before = PlaylistRevision.snapshot(playlist);
         try {
             await playlist.addTrack(trackId, req.user._id);
         } catch (error) {
@@ -346,6 +683,8 @@ const addTrackToPlaylist = async (req, res, next) => {
             throw error;
         }
 
+        await PlaylistRevision.record(playlist, 'add_track', req.user._id, { before });
+
         // Populate updated playlist
         await playlist.populate('tracks.track', 'title artist duration thumbnail');
 
@@ -369,28 +708,20 @@ const addTrackToPlaylist = async (req, res, next) => {
 
 // @desc    Remove track from playlist
 // @route   DELETE /api/playlists/:id/tracks/:trackId
-// @access  Private (owner only)
+// @access  Private (owner or editor)
 const removeTrackFromPlaylist = async (req, res, next) => {
     try {
         const { trackId } = req.params;
-        const playlist = await Playlist.findById(req.params.id);
+        // Loaded and access-checked by checkOwnership
+        const playlist = req.resource;
 
-        if (!playlist || !playlist.isActive) {
-            return res.status(404).json({
-                status: 'error',
-                message: 'Playlist not found'
-            });
-        }
-
-        // Check ownership
-        if (playlist.owner.toString() !== req.user._id.toString()) {
-            return res.status(403).json({
-                status: 'error',
-                message: 'Access denied. You can only modify your own playlists.'
-            });
+        if (playlist.isSmart) {
+            return smartPlaylistLocked(res);
         }
 
+        const before = PlaylistRevision.snapshot(playlist);
         await playlist.removeTrack(trackId);
+        await PlaylistRevision.record(playlist, 'remove_track', req.user._id, { before });
 
         res.json({
             status: 'success',
@@ -409,37 +740,61 @@ const removeTrackFromPlaylist = async (req, res, next) => {
     }
 };
 
-// @desc    Toggle follow playlist
-// @route   POST /api/playlists/:id/follow
-// @access  Private
-const toggleFollowPlaylist = async (req, res, next) => {
+// @desc    Reorder all tracks in a playlist
+// @route   PUT /api/playlists/:id/tracks/order
+// @access  Private (owner or editor)
+const reorderPlaylistTracks = async (req, res, next) => {
     try {
-        const playlist = await Playlist.findById(req.params.id);
-
-        if (!playlist || !playlist.isActive || !playlist.isPublic) {
-            return res.status(404).json({
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 status: 'error',
-                message: 'Playlist not found or not public'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        // Can't follow own playlist
-        if (playlist.owner.toString() === req.user._id.toString()) {
+        const { trackOrder, version } = req.body;
+        // Loaded and access-checked by checkOwnership
+        const playlist = req.resource;
+
+        if (playlist.isSmart) {
+            return smartPlaylistLocked(res);
+        }
+
+        if (playlist.tracksVersion !== version) {
+            return tracksVersionConflict(res, playlist);
+        }
+
+        // The new order must contain exactly the tracks already in the playlist
+        const currentIds = playlist.tracks.map(item => item.track.toString()).sort();
+        const requestedIds = trackOrder.map(id => id.toString()).sort();
+        const isSameSet = currentIds.length === requestedIds.length &&
+            currentIds.every((id, index) => id === requestedIds[index]);
+
+        if (!isSameSet) {
             return res.status(400).json({
                 status: 'error',
-                message: 'You cannot follow your own playlist'
+                message: 'trackOrder must list every track in the playlist exactly once'
             });
         }
 
-        const isFollowing = playlist.toggleFollow(req.user._id);
-        await playlist.save();
+        const before = PlaylistRevision.snapshot(playlist);
+        await playlist.reorderTracks(trackOrder);
+        await PlaylistRevision.record(playlist, 'reorder', req.user._id, { before });
+        await playlist.populate('tracks.track', 'title artist duration thumbnail');
 
         res.json({
             status: 'success',
-            message: isFollowing ? 'Playlist followed' : 'Playlist unfollowed',
+            message: 'Playlist reordered successfully',
             data: {
-                isFollowing,
-                followerCount: playlist.followerCount
+                playlist: {
+                    _id: playlist._id,
+                    name: playlist.name,
+                    trackCount: playlist.trackCount,
+                    tracksVersion: playlist.tracksVersion,
+                    tracks: playlist.tracks
+                }
             }
         });
 
@@ -448,9 +803,840 @@ const toggleFollowPlaylist = async (req, res, next) => {
     }
 };
 
-// Validation rules
-const createPlaylistValidation = [
-    body('name')
+// @desc    Move one track to a new position
+// @route   PUT /api/playlists/:id/tracks/move
+// @access  Private (owner or editor)
+const movePlaylistTrack = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { from, to, version } = req.body;
+        // Loaded and access-checked by checkOwnership
+        const playlist = req.resource;
+
+        if (playlist.isSmart) {
+            return smartPlaylistLocked(res);
+        }
+
+        if (playlist.tracksVersion !== version) {
+            return tracksVersionConflict(res, playlist);
+        }
+
+        const before = PlaylistRevision.snapshot(playlist);
+        try {
+            await playlist.moveTrack(from, to);
+        } catch (error) {
+            if (error.message === 'Track position out of range') {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Positions must be between 0 and ${playlist.tracks.length - 1}`
+                });
+            }
+            throw error;
+        }
+
+        await PlaylistRevision.record(playlist, 'reorder', req.user._id, { before });
+
+        await playlist.populate('tracks.track', 'title artist duration thumbnail');
+
+        res.json({
+            status: 'success',
+            message: 'Track moved successfully',
+            data: {
+                playlist: {
+                    _id: playlist._id,
+                    name: playlist.name,
+                    trackCount: playlist.trackCount,
+                    tracksVersion: playlist.tracksVersion,
+                    tracks: playlist.tracks
+                }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Fork a playlist into the current user's library
+// @route   POST /api/playlists/:id/fork
+// @access  Private
+const forkPlaylist = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const source = await Playlist.findById(req.params.id).populate('tracks.track', 'isActive');
+
+        if (!source || !source.isActive || !source.canView(req.user._id, getShareToken(req))) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Playlist not found'
+            });
+        }
+
+        // Owners can always duplicate their own playlists
+        const isOwner = source.getAccessRole(req.user._id) === 'owner';
+        if (!source.allowForks && !isOwner) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'The owner of this playlist has turned off forking'
+            });
+        }
+
+        // Smart playlists are forked as a regular copy of their current tracks
+        const trackIds = source.tracks
+            .filter(item => item.track && item.track.isActive)
+            .map(item => item.track._id);
+
+        const playlist = await createUserPlaylist(req.user._id, {
+            name: req.body.name || source.name,
+            description: req.body.description !== undefined ? req.body.description : source.description,
+            isPublic: false,
+            trackIds,
+            tags: source.tags,
+            coverImage: source.coverImage,
+            forkedFrom: {
+                playlist: source._id,
+                owner: source.owner,
+                name: source.name
+            }
+        });
+
+        // $inc avoids re-saving the source and bumping its tracksVersion
+        const { forkCount } = await Playlist.findByIdAndUpdate(
+            source._id,
+            { $inc: { forkCount: 1 } },
+            { new: true, select: 'forkCount' }
+        );
+
+        res.status(201).json({
+            status: 'success',
+            message: 'Playlist forked successfully',
+            data: {
+                playlist,
+                source: {
+                    _id: source._id,
+                    name: source.name,
+                    forkCount
+                }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Toggle follow playlist
+// @route   POST /api/playlists/:id/follow
+// @access  Private
+const toggleFollowPlaylist = async (req, res, next) => {
+    try {
+        const playlist = await Playlist.findById(req.params.id);
+
+        if (!playlist || !playlist.isActive || !playlist.isPublic) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Playlist not found or not public'
+            });
+        }
+
+        // Can't follow own playlist
+        if (playlist.owner.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'You cannot follow your own playlist'
+            });
+        }
+
+        const isFollowing = playlist.toggleFollow(req.user._id);
+        await playlist.save();
+
+        res.json({
+            status: 'success',
+            message: isFollowing ? 'Playlist followed' : 'Playlist unfollowed',
+            data: {
+                isFollowing,
+                followerCount: playlist.followerCount
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Record a playlist play (counted once per playlist per login session)
+// @route   POST /api/playlists/:id/play
+// @access  Private
+const recordPlaylistPlay = async (req, res, next) => {
+    try {
+        const playlist = await Playlist.findById(req.params.id).select('owner collaborators isPublic isUnlisted shareTokens isActive playCount');
+
+        if (!playlist || !playlist.isActive || !playlist.canView(req.user._id, getShareToken(req))) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Playlist not found'
+            });
+        }
+
+        // Replays in the same session don't inflate the count
+        const counted = await req.authSession.registerPlaylistPlay(playlist._id);
+        const playCount = counted ? await playlist.incrementPlay() : playlist.playCount;
+
+        res.json({
+            status: 'success',
+            message: counted ? 'Play recorded' : 'Play already recorded this session',
+            data: {
+                counted,
+                playCount
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Toggle like playlist
+// @route   POST /api/playlists/:id/like
+// @access  Private
+const toggleLikePlaylist = async (req, res, next) => {
+    try {
+        const playlist = await Playlist.findById(req.params.id).select('owner collaborators isPublic isUnlisted shareTokens isActive likeCount');
+
+        if (!playlist || !playlist.isActive || !playlist.canView(req.user._id, getShareToken(req))) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Playlist not found'
+            });
+        }
+
+        // Can't like own playlist
+        if (playlist.owner.toString() === req.user._id.toString()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'You cannot like your own playlist'
+            });
+        }
+
+        const { isLiked, changed } = await req.user.toggleLikePlaylist(playlist._id);
+
+        // Update playlist like count, unless a concurrent request already counted this like
+        let likeCount = playlist.likeCount;
+        if (changed) {
+            likeCount = isLiked ? await playlist.incrementLike() : await playlist.decrementLike();
+        }
+
+        res.json({
+            status: 'success',
+            message: isLiked ? 'Playlist liked' : 'Playlist unliked',
+            data: {
+                isLiked,
+                likeCount
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Describe a share token without exposing its hash
+const describeShareToken = (share) => ({
+    _id: share._id,
+    label: share.label,
+    readOnly: share.readOnly,
+    expiresAt: share.expiresAt,
+    createdAt: share.createdAt,
+    lastUsedAt: share.lastUsedAt,
+    revokedAt: share.revokedAt,
+    isActive: !share.revokedAt && (!share.expiresAt || share.expiresAt > new Date())
+});
+
+// @desc    List a playlist's share links
+// @route   GET /api/playlists/:id/share
+// @access  Private (owner only)
+const getShareLinks = async (req, res, next) => {
+    try {
+        const playlist = req.resource;
+
+        res.json({
+            status: 'success',
+            data: {
+                visibility: playlist.visibility,
+                shareLinks: playlist.shareTokens.map(describeShareToken)
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a share link for a playlist
+// @route   POST /api/playlists/:id/share
+// @access  Private (owner only)
+const createShareLink = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { label, readOnly = true, expiresInHours } = req.body;
+        const playlist = req.resource;
+
+        const token = playlist.createShareToken({
+            label,
+            readOnly,
+            expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : undefined,
+            createdBy: req.user._id
+        });
+        await playlist.save();
+
+        const share = playlist.shareTokens[playlist.shareTokens.length - 1];
+
+        // The raw token is only returned here; just its hash is stored
+        res.status(201).json({
+            status: 'success',
+            message: 'Share link created. Copy it now, it will not be shown again.',
+            data: {
+                token,
+                shareUrl: `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}/api/playlists/${playlist._id}?share=${token}`,
+                shareLink: describeShareToken(share)
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Revoke a share link
+// @route   DELETE /api/playlists/:id/share/:shareId
+// @access  Private (owner only)
+const revokeShareLink = async (req, res, next) => {
+    try {
+        const playlist = req.resource;
+
+        try {
+            await playlist.revokeShareToken(req.params.shareId);
+        } catch (error) {
+            if (error.message === 'Share link not found') {
+                return res.status(404).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        res.json({
+            status: 'success',
+            message: 'Share link revoked'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Fields a client may set on smart playlist rules
+const SMART_RULE_FIELDS = [
+    'genres', 'moods', 'energy', 'danceability', 'valence', 'bpm', 'releaseYear',
+    'likedByOwner', 'notPlayedInDays', 'sort', 'limit', 'refreshIntervalHours'
+];
+
+const pickSmartRules = (rules = {}) => {
+    return Object.fromEntries(
+        SMART_RULE_FIELDS.filter(field => rules[field] !== undefined).map(field => [field, rules[field]])
+    );
+};
+
+// @desc    Create a smart (rule-based) playlist
+// @route   POST /api/playlists/smart
+// @access  Private
+const createSmartPlaylist = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { name, description, isPublic = false, visibility, rules } = req.body;
+        const smartRules = { ...pickSmartRules(rules), lastRefreshedAt: new Date() };
+        const trackIds = await evaluateRules(smartRules, req.user._id);
+
+        const playlist = await createUserPlaylist(req.user._id, {
+            name,
+            description,
+            isPublic: visibility ? visibility === 'public' : isPublic,
+            isUnlisted: visibility === 'unlisted',
+            trackIds,
+            isSmart: true,
+            smartRules
+        });
+
+        res.status(201).json({
+            status: 'success',
+            message: `Smart playlist created with ${playlist.trackCount} tracks`,
+            data: {
+                playlist
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Replace a smart playlist's rules and re-evaluate it
+// @route   PUT /api/playlists/:id/rules
+// @access  Private (owner only)
+const updateSmartRules = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const playlist = req.resource;
+        if (!playlist.isSmart) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Only smart playlists have rules'
+            });
+        }
+
+        playlist.smartRules = pickSmartRules(req.body.rules);
+        await refreshSmartPlaylist(playlist);
+        await playlist.populate('tracks.track', 'title artist duration thumbnail');
+
+        res.json({
+            status: 'success',
+            message: 'Smart playlist rules updated',
+            data: {
+                playlist
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Re-evaluate a smart playlist now
+// @route   POST /api/playlists/:id/refresh
+// @access  Private (owner or editor)
+const refreshPlaylist = async (req, res, next) => {
+    try {
+        const playlist = req.resource;
+        if (!playlist.isSmart) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Only smart playlists can be refreshed'
+            });
+        }
+
+        await refreshSmartPlaylist(playlist);
+        await playlist.populate('tracks.track', 'title artist duration thumbnail');
+
+        res.json({
+            status: 'success',
+            message: `Smart playlist refreshed with ${playlist.trackCount} tracks`,
+            data: {
+                playlist
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get a playlist's revision history
+// @route   GET /api/playlists/:id/history
+// @access  Private (owner or collaborator)
+const getPlaylistHistory = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+        const limitNum = Math.min(parseInt(limit), 50);
+
+        const playlist = req.resource;
+        const revisions = await PlaylistRevision.getPlaylistHistory(playlist._id, limitNum, skip);
+        const total = await PlaylistRevision.countDocuments({ playlist: playlist._id });
+
+        res.json({
+            status: 'success',
+            data: {
+                revisions,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limitNum),
+                    totalRevisions: total,
+                    limit: limitNum
+                }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Restore a playlist to a previous revision
+// @route   POST /api/playlists/:id/history/:revision/restore
+// @access  Private (owner only)
+const restorePlaylistRevision = async (req, res, next) => {
+    try {
+        const playlist = req.resource;
+
+        if (playlist.isSmart) {
+            return smartPlaylistLocked(res);
+        }
+
+        const revision = await PlaylistRevision.findOne({
+            playlist: playlist._id,
+            revision: parseInt(req.params.revision)
+        });
+
+        if (!revision) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Revision not found'
+            });
+        }
+
+        const { snapshot } = revision;
+
+        // Restoring a public revision publishes the playlist
+        if (snapshot.isPublic && !hasVerifiedEmail(req.user)) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Please verify your email address to use this feature.'
+            });
+        }
+
+        // Tracks removed from the catalog since then can't come back
+        const activeTracks = await Track.find({
+            _id: { $in: snapshot.tracks.map(item => item.track) },
+            isActive: true
+        }).select('_id');
+        const activeIds = new Set(activeTracks.map(track => track._id.toString()));
+        const restoredTracks = snapshot.tracks.filter(item => activeIds.has(item.track.toString()));
+
+        const before = PlaylistRevision.snapshot(playlist);
+
+        playlist.name = snapshot.name;
+        playlist.description = snapshot.description;
+        playlist.visibility = snapshot.isPublic ? 'public' : (snapshot.isUnlisted ? 'unlisted' : 'private');
+        playlist.coverImage = snapshot.coverImage;
+        playlist.tracks = restoredTracks.map(item => ({
+            track: item.track,
+            addedAt: item.addedAt,
+            addedBy: item.addedBy
+        }));
+
+        await playlist.save();
+        const restored = await PlaylistRevision.record(playlist, 'restore', req.user._id, {
+            before,
+            restoredFrom: revision.revision
+        });
+
+        await playlist.populate('tracks.track', 'title artist duration thumbnail');
+
+        res.json({
+            status: 'success',
+            message: `Playlist restored to revision ${revision.revision}`,
+            data: {
+                playlist,
+                revision: restored.revision,
+                skippedTracks: snapshot.tracks.length - restoredTracks.length
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get pending collaboration invites for the current user
+// @route   GET /api/playlists/invites
+// @access  Private
+const getPlaylistInvites = async (req, res, next) => {
+    try {
+        const playlists = await Playlist.find({
+            collaborators: { $elemMatch: { user: req.user._id, status: 'pending' } },
+            isActive: true
+        })
+            .populate('owner', 'username profilePicture')
+            .populate('collaborators.invitedBy', 'username')
+            .sort({ updatedAt: -1 })
+            .select('name description coverImage owner collaborators tracks');
+
+        const invites = playlists.map(playlist => {
+            const invite = playlist.findCollaborator(req.user._id);
+            return {
+                playlist: {
+                    _id: playlist._id,
+                    name: playlist.name,
+                    description: playlist.description,
+                    coverImage: playlist.coverImage,
+                    owner: playlist.owner,
+                    trackCount: playlist.trackCount
+                },
+                role: invite.role,
+                invitedBy: invite.invitedBy,
+                invitedAt: invite.invitedAt
+            };
+        });
+
+        res.json({
+            status: 'success',
+            data: {
+                invites
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Invite a collaborator to a playlist
+// @route   POST /api/playlists/:id/collaborators
+// @access  Private (owner only)
+const inviteCollaborator = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { username, role = 'editor' } = req.body;
+        const playlist = req.resource;
+
+        const invitee = await User.findOne({ username }).select('_id username');
+        if (!invitee) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'User not found'
+            });
+        }
+
+        try {
+            await playlist.inviteCollaborator(invitee._id, role, req.user._id);
+        } catch (error) {
+            if (error.message === 'Owner cannot be invited as a collaborator') {
+                return res.status(400).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        const collaborator = playlist.findCollaborator(invitee._id);
+
+        res.status(201).json({
+            status: 'success',
+            message: collaborator.status === 'pending'
+                ? `Invite sent to ${invitee.username}`
+                : `${invitee.username} is now a ${role}`,
+            data: {
+                collaborator
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Change a collaborator's role
+// @route   PUT /api/playlists/:id/collaborators/:userId
+// @access  Private (owner only)
+const updateCollaboratorRole = async (req, res, next) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                status: 'error',
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const playlist = req.resource;
+        const collaborator = playlist.findCollaborator(req.params.userId);
+
+        if (!collaborator) {
+            return res.status(404).json({
+                status: 'error',
+                message: 'Collaborator not found'
+            });
+        }
+
+        collaborator.role = req.body.role;
+        await playlist.save();
+
+        res.json({
+            status: 'success',
+            message: 'Collaborator role updated',
+            data: {
+                collaborator
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove a collaborator (owner), or leave a playlist (collaborator)
+// @route   DELETE /api/playlists/:id/collaborators/:userId
+// @access  Private (owner, or the collaborator themselves)
+const removeCollaborator = async (req, res, next) => {
+    try {
+        const playlist = req.resource;
+        const isSelf = req.params.userId === req.user._id.toString();
+
+        if (req.accessRole !== 'owner' && !isSelf) {
+            return res.status(403).json({
+                status: 'error',
+                message: 'Access denied. Only the owner can remove other collaborators.'
+            });
+        }
+
+        try {
+            await playlist.removeCollaborator(req.params.userId);
+        } catch (error) {
+            if (error.message === 'Collaborator not found') {
+                return res.status(404).json({
+                    status: 'error',
+                    message: error.message
+                });
+            }
+            throw error;
+        }
+
+        res.json({
+            status: 'success',
+            message: isSelf ? 'You left the playlist' : 'Collaborator removed'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Shared handler for accepting and declining invites (the invitee has no
+// access role yet, so this can't go through checkOwnership).
+// Accepting with an editable share link's token joins the playlist as an editor.
+const respondToInvite = (accept) => {
+    return async (req, res, next) => {
+        try {
+            const playlist = await Playlist.findById(req.params.id);
+
+            if (!playlist || !playlist.isActive) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Playlist not found'
+                });
+            }
+
+            const invite = playlist.findCollaborator(req.user._id);
+            const hasInvite = invite && invite.status === 'pending';
+            const shareToken = accept && !hasInvite ? getShareToken(req) : null;
+
+            if (!hasInvite && !shareToken) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: 'Invite not found'
+                });
+            }
+
+            if (shareToken) {
+                try {
+                    await playlist.joinWithShareToken(req.user._id, shareToken);
+                } catch (error) {
+                    const status = {
+                        'Invite not found': 404,
+                        'Owner cannot be invited as a collaborator': 400
+                    }[error.message];
+                    if (!status) throw error;
+
+                    return res.status(status).json({
+                        status: 'error',
+                        message: error.message
+                    });
+                }
+            } else if (accept) {
+                await playlist.acceptInvite(req.user._id);
+            } else {
+                await playlist.removeCollaborator(req.user._id);
+            }
+
+            res.json({
+                status: 'success',
+                message: accept ? 'Invite accepted' : 'Invite declined',
+                data: {
+                    playlistId: playlist._id,
+                    role: shareToken ? 'editor' : (accept ? invite.role : null)
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// @desc    Accept a collaboration invite
+// @route   POST /api/playlists/:id/collaborators/accept
+// @access  Private (invitee)
+const acceptPlaylistInvite = respondToInvite(true);
+
+// @desc    Decline a collaboration invite
+// @route   POST /api/playlists/:id/collaborators/decline
+// @access  Private (invitee)
+const declinePlaylistInvite = respondToInvite(false);
+
+// Validation rules
+const createPlaylistValidation = [
+    body('name')
         .trim()
         .isLength({ min: 1, max: 100 })
         .withMessage('Playlist name must be between 1 and 100 characters'),
@@ -463,6 +1649,10 @@ const createPlaylistValidation = [
         .optional()
         .isBoolean()
         .withMessage('isPublic must be a boolean'),
+    body('visibility')
+        .optional()
+        .isIn(VISIBILITIES)
+        .withMessage(`visibility must be one of: ${VISIBILITIES.join(', ')}`),
     body('trackIds')
         .optional()
         .isArray()
@@ -483,7 +1673,54 @@ const updatePlaylistValidation = [
     body('isPublic')
         .optional()
         .isBoolean()
-        .withMessage('isPublic must be a boolean')
+        .withMessage('isPublic must be a boolean'),
+    body('visibility')
+        .optional()
+        .isIn(VISIBILITIES)
+        .withMessage(`visibility must be one of: ${VISIBILITIES.join(', ')}`),
+    body('allowForks')
+        .optional()
+        .isBoolean()
+        .withMessage('allowForks must be a boolean')
+];
+
+const shareLinkValidation = [
+    body('label')
+        .optional()
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Label cannot exceed 50 characters'),
+    body('readOnly')
+        .optional()
+        .isBoolean()
+        .withMessage('readOnly must be a boolean')
+        .toBoolean(),
+    body('expiresInHours')
+        .optional()
+        .isFloat({ min: 1, max: 24 * 365 })
+        .withMessage('expiresInHours must be between 1 and 8760')
+        .toFloat()
+];
+
+// Repeated query params arrive as arrays; search expects one string each
+const searchValidation = ['q', 'genre', 'mood', 'ai', 'owner', 'sort', 'page', 'limit'].map(field =>
+    query(field)
+        .optional()
+        .isString()
+        .withMessage(`${field} must be given once`)
+);
+
+const forkPlaylistValidation = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Playlist name must be between 1 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
 ];
 
 const addTrackValidation = [
@@ -492,17 +1729,178 @@ const addTrackValidation = [
         .withMessage('Valid track ID is required')
 ];
 
+const reorderTracksValidation = [
+    body('trackOrder')
+        .isArray()
+        .withMessage('trackOrder must be an array of track IDs'),
+    body('trackOrder.*')
+        .isMongoId()
+        .withMessage('trackOrder must contain valid track IDs'),
+    body('version')
+        .isInt({ min: 0 })
+        .withMessage('version (the playlist tracksVersion) is required')
+        .toInt()
+];
+
+const moveTrackValidation = [
+    body('from')
+        .isInt({ min: 0 })
+        .withMessage('from must be a track position')
+        .toInt(),
+    body('to')
+        .isInt({ min: 0 })
+        .withMessage('to must be a track position')
+        .toInt(),
+    body('version')
+        .isInt({ min: 0 })
+        .withMessage('version (the playlist tracksVersion) is required')
+        .toInt()
+];
+
+const inviteCollaboratorValidation = [
+    body('username')
+        .trim()
+        .notEmpty()
+        .withMessage('Username of the user to invite is required'),
+    body('role')
+        .optional()
+        .isIn(['editor', 'viewer'])
+        .withMessage('Role must be editor or viewer')
+];
+
+const updateCollaboratorValidation = [
+    body('role')
+        .isIn(['editor', 'viewer'])
+        .withMessage('Role must be editor or viewer')
+];
+
+// Smart playlist rules; ranges are inclusive and either bound may be omitted
+const rangeRule = (field, min, max) => [
+    body(`rules.${field}.min`)
+        .optional()
+        .isFloat({ min, max })
+        .withMessage(`rules.${field}.min must be between ${min} and ${max}`)
+        .toFloat(),
+    body(`rules.${field}.max`)
+        .optional()
+        .isFloat({ min, max })
+        .withMessage(`rules.${field}.max must be between ${min} and ${max}`)
+        .toFloat()
+];
+
+const smartRulesValidation = [
+    body('rules')
+        .isObject()
+        .withMessage('rules must be an object'),
+    body('rules.genres')
+        .optional()
+        .isArray()
+        .withMessage('rules.genres must be an array'),
+    body('rules.genres.*')
+        .isIn(GENRES)
+        .withMessage(`Genres must be one of: ${GENRES.join(', ')}`),
+    body('rules.moods')
+        .optional()
+        .isArray()
+        .withMessage('rules.moods must be an array'),
+    body('rules.moods.*')
+        .isIn(MOODS)
+        .withMessage(`Moods must be one of: ${MOODS.join(', ')}`),
+    ...rangeRule('energy', 0, 1),
+    ...rangeRule('danceability', 0, 1),
+    ...rangeRule('valence', 0, 1),
+    ...rangeRule('bpm', 0, 400),
+    ...rangeRule('releaseYear', 1900, new Date().getFullYear() + 1),
+    body('rules.likedByOwner')
+        .optional()
+        .isBoolean()
+        .withMessage('rules.likedByOwner must be a boolean')
+        .toBoolean(),
+    body('rules.notPlayedInDays')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('rules.notPlayedInDays must be a positive number of days')
+        .toInt(),
+    body('rules.sort')
+        .optional()
+        .isIn(SMART_SORTS)
+        .withMessage(`rules.sort must be one of: ${SMART_SORTS.join(', ')}`),
+    body('rules.limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('rules.limit must be between 1 and 200')
+        .toInt(),
+    body('rules.refreshIntervalHours')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('rules.refreshIntervalHours must be 0 (refresh on read) or more')
+        .toFloat()
+];
+
+const createSmartPlaylistValidation = [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Playlist name must be between 1 and 100 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters'),
+    body('isPublic')
+        .optional()
+        .isBoolean()
+        .withMessage('isPublic must be a boolean'),
+    body('visibility')
+        .optional()
+        .isIn(VISIBILITIES)
+        .withMessage(`visibility must be one of: ${VISIBILITIES.join(', ')}`),
+    ...smartRulesValidation
+];
+
 module.exports = {
     getUserPlaylists,
     getPublicPlaylists,
+    searchPlaylists,
+    getFeaturedPlaylists,
     getPlaylist,
+    exportPlaylist,
     createPlaylist,
+    importPlaylist,
     updatePlaylist,
     deletePlaylist,
     addTrackToPlaylist,
     removeTrackFromPlaylist,
+    reorderPlaylistTracks,
+    movePlaylistTrack,
+    forkPlaylist,
     toggleFollowPlaylist,
+    recordPlaylistPlay,
+    toggleLikePlaylist,
+    getShareLinks,
+    createShareLink,
+    revokeShareLink,
+    createSmartPlaylist,
+    updateSmartRules,
+    refreshPlaylist,
+    getPlaylistHistory,
+    restorePlaylistRevision,
+    getPlaylistInvites,
+    inviteCollaborator,
+    updateCollaboratorRole,
+    removeCollaborator,
+    acceptPlaylistInvite,
+    declinePlaylistInvite,
     createPlaylistValidation,
     updatePlaylistValidation,
-    addTrackValidation
+    forkPlaylistValidation,
+    shareLinkValidation,
+    searchValidation,
+    addTrackValidation,
+    reorderTracksValidation,
+    moveTrackValidation,
+    inviteCollaboratorValidation,
+    updateCollaboratorValidation,
+    smartRulesValidation,
+    createSmartPlaylistValidation
 };
@@ -1,5 +1,17 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Look up the active session a decoded access token belongs to
+const getActiveSession = async (decoded) => {
+    if (!decoded.sid) return null;
+
+    const session = await Session.findActive(decoded.sid, decoded.id);
+    if (session) {
+        await session.touch();
+    }
+    return session;
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -25,6 +37,15 @@ const protect = async (req, res, next) => {
         try {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            // Make sure the session behind this token hasn't been revoked
+            const session = await getActiveSession(decoded);
+            if (!session) {
+                return res.status(401).json({
+                    status: 'error',
+                    message: 'Session has expired or been revoked'
+                });
+            }
             
             // Get user from token
             const user = await User.findById(decoded.id)
@@ -39,8 +60,9 @@ const protect = async (req, res, next) => {
                 });
             }
 
-            // Add user to request object
+            // Add user and session to request object
             req.user = user;
+            req.authSession = session;
             next();
 
         } catch (error) {
@@ -80,13 +102,15 @@ const optionalAuth = async (req, res, next) => {
         if (token) {
             try {
                 const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const user = await User.findById(decoded.id)
+                const session = await getActiveSession(decoded);
+                const user = session && await User.findById(decoded.id)
                     .select('-password')
                     .populate('likedTracks', 'title artist')
                     .populate('playlists', 'name trackCount');
 
                 if (user) {
                     req.user = user;
+                    req.authSession = session;
                 }
             } catch (error) {
                 // Continue without user if token is invalid
@@ -113,33 +137,89 @@ const adminOnly = (req, res, next) => {
     }
 };
 
-// Check if user owns resource
-const checkOwnership = (resourceModel) => {
+// Require a permission from the role matrix in config/permissions.js
+const requirePermission = (permission) => {
+    return (req, res, next) => {
+        if (req.user && req.user.can(permission)) {
+            return next();
+        }
+
+        return res.status(403).json({
+            status: 'error',
+            message: 'Access denied. You do not have permission to perform this action.'
+        });
+    };
+};
+
+// Whether a user meets the email verification requirement (always true when it's switched off)
+const hasVerifiedEmail = (user) => {
+    return process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || Boolean(user && user.isVerified);
+};
+
+// Verified email required (only enforced when REQUIRE_EMAIL_VERIFICATION=true)
+const requireVerified = (req, res, next) => {
+    if (hasVerifiedEmail(req.user)) {
+        return next();
+    }
+
+    return res.status(403).json({
+        status: 'error',
+        message: 'Please verify your email address to use this feature.'
+    });
+};
+
+// Verified email required to make a playlist public
+const requireVerifiedToPublish = (req, res, next) => {
+    const isPublishing = req.body.isPublic === true || req.body.isPublic === 'true' || req.body.visibility === 'public';
+    return isPublishing ? requireVerified(req, res, next) : next();
+};
+
+// Read a playlist share token from ?share= or the X-Share-Token header
+const getShareToken = (req) => {
+    return req.query.share || req.get('X-Share-Token') || null;
+};
+
+// Check if user owns resource, or holds one of the allowed roles on it.
+// Models with a getAccessRole(userId) method (e.g. Playlist) can grant roles beyond 'owner'.
+const checkOwnership = (resourceModel, allowedRoles = ['owner']) => {
     return async (req, res, next) => {
         try {
             const resourceId = req.params.id;
             const resource = await resourceModel.findById(resourceId);
 
-            if (!resource) {
+            if (!resource || resource.isActive === false) {
                 return res.status(404).json({
                     status: 'error',
-                    message: 'Resource not found'
+                    message: `${resourceModel.modelName} not found`
                 });
             }
 
-            // Check if user owns the resource
-            if (resource.owner && resource.owner.toString() !== req.user._id.toString()) {
+            let accessRole = null;
+            if (typeof resource.getAccessRole === 'function') {
+                accessRole = resource.getAccessRole(req.user._id, getShareToken(req));
+            } else if (!resource.owner || resource.owner.toString() === req.user._id.toString()) {
+                accessRole = 'owner';
+            }
+
+            if (!allowedRoles.includes(accessRole)) {
                 return res.status(403).json({
                     status: 'error',
-                    message: 'Access denied. You can only access your own resources.'
+                    message: allowedRoles.length === 1
+                        ? 'Access denied. You can only access your own resources.'
+                        : 'Access denied. You do not have permission to modify this resource.'
                 });
             }
 
             // Add resource to request for use in controller
             req.resource = resource;
+            req.accessRole = accessRole;
             next();
 
         } catch (error) {
+            // Malformed IDs are reported as 404 by the error handler
+            if (error.name === 'CastError') {
+                return next(error);
+            }
             console.error('Ownership check error:', error);
             return res.status(500).json({
                 status: 'error',
@@ -183,6 +263,11 @@ module.exports = {
     protect,
     optionalAuth,
     adminOnly,
+    requirePermission,
+    requireVerified,
+    hasVerifiedEmail,
+    requireVerifiedToPublish,
     checkOwnership,
+    getShareToken,
     aiRateLimit
 };
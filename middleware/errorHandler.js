@@ -35,6 +35,15 @@ const errorHandler = (err, req, res, next) => {
         };
     }
 
+    // Document changed between read and save (e.g. playlist tracksVersion mismatch)
+    if (err.name === 'DocumentNotFoundError') {
+        const message = 'This resource was modified by someone else. Please reload and try again.';
+        error = {
+            message,
+            statusCode: 409
+        };
+    }
+
     // Mongoose validation error
     if (err.name === 'ValidationError') {
         const message = Object.values(err.errors).map(val => val.message).join(', ');
@@ -31,6 +31,11 @@ const aiRequestSchema = new mongoose.Schema({
         enum: ['pop', 'rock', 'jazz', 'classical', 'electronic', 'hip-hop', 'country', 'folk', 'blues', 'reggae', 'metal', 'indie', 'ambient', 'world'],
         lowercase: true
     }],
+    // Which AI provider answered (gemini or local); the raw reply stays in geminiResponse
+    provider: {
+        type: String,
+        trim: true
+    },
     geminiResponse: {
         type: mongoose.Schema.Types.Mixed,
         default: {}
@@ -43,6 +48,21 @@ const aiRequestSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Playlist'
     },
+    // What a track_recommendation request was seeded with
+    seeds: {
+        tracks: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Track'
+        }],
+        artists: [{
+            type: String,
+            trim: true
+        }],
+        playlist: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Playlist'
+        }
+    },
     requestType: {
         type: String,
         enum: ['playlist_generation', 'track_recommendation', 'mood_analysis'],
@@ -53,10 +73,65 @@ const aiRequestSchema = new mongoose.Schema({
         enum: ['pending', 'processing', 'completed', 'failed'],
         default: 'pending'
     },
+    processingStartTime: {
+        type: Date
+    },
     processingTime: {
         type: Number, // in milliseconds
         default: 0
     },
+    // Queued requests are processed in the background by the AI worker
+    isQueued: {
+        type: Boolean,
+        default: false
+    },
+    // Generation options a queued request is run with
+    options: {
+        playlistName: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Playlist name cannot exceed 100 characters']
+        },
+        savePlaylist: {
+            type: Boolean,
+            default: true
+        }
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Follow-up instructions refining the generated playlist, and what each one changed
+    conversation: [{
+        role: {
+            type: String,
+            enum: ['user', 'assistant'],
+            required: true
+        },
+        content: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: [1000, 'Message cannot exceed 1000 characters']
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        addedTracks: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Track'
+        }],
+        removedTracks: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Track'
+        }],
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     errorMessage: {
         type: String,
         default: ''
@@ -110,6 +185,7 @@ aiRequestSchema.virtual('isSuccessful').get(function() {
 // Indexes for performance
 aiRequestSchema.index({ user: 1, createdAt: -1 });
 aiRequestSchema.index({ status: 1, createdAt: -1 });
+aiRequestSchema.index({ isQueued: 1, status: 1, createdAt: 1 });
 aiRequestSchema.index({ extractedMoods: 1, extractedGenres: 1 });
 aiRequestSchema.index({ isBookmarked: 1, user: 1 });
 aiRequestSchema.index({ prompt: 'text', normalizedPrompt: 'text', extractedKeywords: 'text' });
@@ -203,6 +279,37 @@ aiRequestSchema.statics.getMoodGenreAnalytics = function() {
     ]);
 };
 
+// Static method to claim the oldest queued request for processing
+aiRequestSchema.statics.claimNext = function() {
+    return this.findOneAndUpdate(
+        { isQueued: true, status: 'pending' },
+        {
+            $set: { status: 'processing', processingStartTime: new Date() },
+            $inc: { attempts: 1 }
+        },
+        { sort: { createdAt: 1 }, new: true }
+    );
+};
+
+// Static method to recover requests stuck in processing (e.g. after a crash).
+// Queued requests are retried up to maxAttempts times; the rest are marked failed.
+aiRequestSchema.statics.recoverStuck = async function(timeoutMinutes, maxAttempts) {
+    const stuck = {
+        status: 'processing',
+        updatedAt: { $lt: new Date(Date.now() - timeoutMinutes * 60 * 1000) }
+    };
+
+    const requeued = await this.updateMany(
+        { ...stuck, isQueued: true, attempts: { $lt: maxAttempts } },
+        { $set: { status: 'pending' } }
+    );
+    const failed = await this.updateMany(stuck, {
+        $set: { status: 'failed', errorMessage: 'Generation was interrupted' }
+    });
+
+    return { requeued: requeued.modifiedCount, failed: failed.modifiedCount };
+};
+
 // Method to mark as used
 aiRequestSchema.methods.markAsUsed = function() {
     this.usageCount += 1;
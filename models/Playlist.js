@@ -1,5 +1,58 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// Inclusive numeric range used by smart playlist rules
+const rangeSchema = new mongoose.Schema({
+    min: Number,
+    max: Number
+}, { _id: false });
+
+// Rules for smart playlists; tracks are re-evaluated from these on refresh
+const smartRulesSchema = new mongoose.Schema({
+    genres: [{
+        type: String,
+        enum: ['pop', 'rock', 'jazz', 'classical', 'electronic', 'hip-hop', 'country', 'folk', 'blues', 'reggae', 'metal', 'indie', 'ambient', 'world'],
+        lowercase: true
+    }],
+    moods: [{
+        type: String,
+        enum: ['happy', 'sad', 'energetic', 'calm', 'romantic', 'angry', 'nostalgic', 'peaceful', 'uplifting', 'melancholic', 'relaxing', 'motivational'],
+        lowercase: true
+    }],
+    energy: rangeSchema,
+    danceability: rangeSchema,
+    valence: rangeSchema,
+    bpm: rangeSchema,
+    releaseYear: rangeSchema,
+    likedByOwner: {
+        type: Boolean,
+        default: false
+    },
+    notPlayedInDays: {
+        type: Number,
+        min: [1, 'notPlayedInDays must be at least 1']
+    },
+    sort: {
+        type: String,
+        enum: ['popularity', 'playCount', 'newest', 'releaseYear', 'title', 'random'],
+        default: 'popularity'
+    },
+    limit: {
+        type: Number,
+        default: 50,
+        min: [1, 'Smart playlist limit must be at least 1'],
+        max: [200, 'Smart playlist limit cannot exceed 200']
+    },
+    refreshIntervalHours: {
+        type: Number, // 0 = re-evaluate on every read
+        default: 24,
+        min: 0
+    },
+    lastRefreshedAt: {
+        type: Date
+    }
+}, { _id: false });
+
 const playlistSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -32,6 +85,11 @@ const playlistSchema = new mongoose.Schema({
             ref: 'User'
         }
     }],
+    tracksVersion: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     coverImage: {
         type: String,
         default: ''
@@ -40,6 +98,45 @@ const playlistSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Unlisted playlists can be opened by anyone with the link but aren't listed or searchable
+    isUnlisted: {
+        type: Boolean,
+        default: false
+    },
+    shareTokens: [{
+        tokenHash: {
+            type: String,
+            required: true
+        },
+        label: {
+            type: String,
+            trim: true,
+            maxlength: [50, 'Share link label cannot exceed 50 characters'],
+            default: ''
+        },
+        // Links that aren't read-only also let signed-in holders join as editors (see joinWithShareToken)
+        readOnly: {
+            type: Boolean,
+            default: true
+        },
+        expiresAt: {
+            type: Date
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastUsedAt: {
+            type: Date
+        },
+        revokedAt: {
+            type: Date
+        }
+    }],
     isAIGenerated: {
         type: Boolean,
         default: false
@@ -51,6 +148,14 @@ const playlistSchema = new mongoose.Schema({
     aiGeneratedAt: {
         type: Date
     },
+    isSmart: {
+        type: Boolean,
+        default: false
+    },
+    smartRules: {
+        type: smartRulesSchema,
+        default: undefined
+    },
     genre: [{
         type: String,
         enum: ['pop', 'rock', 'jazz', 'classical', 'electronic', 'hip-hop', 'country', 'folk', 'blues', 'reggae', 'metal', 'indie', 'ambient', 'world'],
@@ -70,6 +175,37 @@ const playlistSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    collaborators: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: {
+                values: ['editor', 'viewer'],
+                message: 'Collaborator role must be editor or viewer'
+            },
+            default: 'editor'
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted'],
+            default: 'pending'
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        invitedAt: {
+            type: Date,
+            default: Date.now
+        },
+        acceptedAt: {
+            type: Date
+        }
+    }],
     playCount: {
         type: Number,
         default: 0,
@@ -80,16 +216,55 @@ const playlistSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Attribution for forks; owner and name are kept in case the source is deleted
+    forkedFrom: {
+        playlist: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Playlist'
+        },
+        owner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        name: String
+    },
+    forkCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    allowForks: {
+        type: Boolean,
+        default: true
+    },
     isActive: {
         type: Boolean,
         default: true
     }
 }, {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+        virtuals: true,
+        // Share tokens are only ever listed through the owner's share routes
+        transform: (doc, ret) => {
+            delete ret.shareTokens;
+            return ret;
+        }
+    },
     toObject: { virtuals: true }
 });
 
+// Virtual for visibility ('public', 'unlisted' or 'private')
+playlistSchema.virtual('visibility')
+    .get(function() {
+        if (this.isPublic) return 'public';
+        return this.isUnlisted ? 'unlisted' : 'private';
+    })
+    .set(function(visibility) {
+        this.isPublic = visibility === 'public';
+        this.isUnlisted = visibility === 'unlisted';
+    });
+
 // Virtual for total duration
 playlistSchema.virtual('totalDuration').get(function() {
     if (!this.populated('tracks.track')) return 0;
@@ -126,6 +301,10 @@ playlistSchema.index({ owner: 1, name: 1 });
 playlistSchema.index({ isPublic: 1, playCount: -1 });
 playlistSchema.index({ genre: 1, mood: 1 });
 playlistSchema.index({ isAIGenerated: 1, aiGeneratedAt: -1 });
+playlistSchema.index({ 'collaborators.user': 1, 'collaborators.status': 1 });
+playlistSchema.index({ isSmart: 1, 'smartRules.lastRefreshedAt': 1 });
+playlistSchema.index({ 'forkedFrom.playlist': 1 });
+playlistSchema.index({ 'shareTokens.tokenHash': 1 });
 playlistSchema.index({ name: 'text', description: 'text', tags: 'text' });
 
 // Static method to get public playlists
@@ -153,8 +332,16 @@ playlistSchema.statics.getAIPlaylists = function(limit = 20) {
     .select('-__v');
 };
 
-// Static method to search playlists
-playlistSchema.statics.searchPlaylists = function(query, filters = {}) {
+// Sorts for playlist search; relevance needs a text query
+const SEARCH_SORTS = {
+    relevance: { score: -1, playCount: -1 },
+    followers: { followerCount: -1, playCount: -1 },
+    plays: { playCount: -1, createdAt: -1 },
+    recent: { createdAt: -1 }
+};
+
+// Static method to search public playlists; resolves to { playlists, total }
+playlistSchema.statics.searchPlaylists = async function(query, filters = {}, { sort = 'plays', limit = 20, skip = 0 } = {}) {
     const searchQuery = { 
         isPublic: true, 
         isActive: true, 
@@ -164,12 +351,31 @@ playlistSchema.statics.searchPlaylists = function(query, filters = {}) {
     if (query) {
         searchQuery.$text = { $search: query };
     }
-    
-    return this.find(searchQuery)
-        .populate('owner', 'username profilePicture')
-        .populate('tracks.track', 'title artist duration thumbnail')
-        .sort({ playCount: -1 })
-        .select('-__v');
+
+    // Follower counts aren't stored, so sort in an aggregation and drop the helper fields before hydrating
+    const computed = { followerCount: { $size: '$followers' } };
+    if (query) computed.score = { $meta: 'textScore' };
+    const sortBy = sort === 'relevance' && !query ? 'plays' : sort;
+
+    const [results, total] = await Promise.all([
+        this.aggregate([
+            { $match: searchQuery },
+            { $addFields: computed },
+            { $sort: SEARCH_SORTS[sortBy] || SEARCH_SORTS.plays },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: Object.fromEntries(Object.keys(computed).map(field => [field, 0])) }
+        ]),
+        this.countDocuments(searchQuery)
+    ]);
+
+    const playlists = results.map(result => this.hydrate(result));
+    await this.populate(playlists, [
+        { path: 'owner', select: 'username profilePicture' },
+        { path: 'tracks.track', select: 'title artist duration thumbnail' }
+    ]);
+
+    return { playlists, total };
 };
 
 // Method to add track to playlist
@@ -218,12 +424,205 @@ playlistSchema.methods.reorderTracks = function(trackOrder) {
     return this.save();
 };
 
-// Method to increment play count
-playlistSchema.methods.incrementPlay = function() {
-    this.playCount += 1;
+// Method to move a single track from one position to another
+playlistSchema.methods.moveTrack = function(fromIndex, toIndex) {
+    if (fromIndex < 0 || fromIndex >= this.tracks.length || toIndex < 0 || toIndex >= this.tracks.length) {
+        throw new Error('Track position out of range');
+    }
+
+    const reorderedTracks = [...this.tracks];
+    const [moved] = reorderedTracks.splice(fromIndex, 1);
+    reorderedTracks.splice(toIndex, 0, moved);
+
+    this.tracks = reorderedTracks;
+    return this.save();
+};
+
+// Method to find a user's collaborator entry (pending or accepted)
+playlistSchema.methods.findCollaborator = function(userId) {
+    return this.collaborators.find(
+        item => (item.user._id || item.user).toString() === userId.toString()
+    );
+};
+
+// Method to get a user's access role: 'owner', 'editor', 'viewer' or null.
+// A share token only ever grants 'viewer'; editing needs an accepted collaborator invite.
+playlistSchema.methods.getAccessRole = function(userId, shareToken) {
+    const ownerId = this.owner._id || this.owner;
+    if (userId && ownerId.toString() === userId.toString()) {
+        return 'owner';
+    }
+
+    const collaborator = userId ? this.findCollaborator(userId) : null;
+    const collaboratorRole = collaborator && collaborator.status === 'accepted' ? collaborator.role : null;
+
+    const share = shareToken ? this.findShareToken(shareToken) : null;
+    const shareRole = share ? 'viewer' : null;
+
+    return collaboratorRole || shareRole;
+};
+
+// Method to check whether a user (or anonymous visitor) may view the playlist
+playlistSchema.methods.canView = function(userId, shareToken) {
+    return this.isPublic || this.isUnlisted || Boolean(this.getAccessRole(userId, shareToken));
+};
+
+// Method to create a share token; only its hash is stored, so return the raw token once
+playlistSchema.methods.createShareToken = function({ label, readOnly = true, expiresAt, createdBy } = {}) {
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    this.shareTokens.push({
+        tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+        label,
+        readOnly,
+        expiresAt,
+        createdBy
+    });
+
+    return token;
+};
+
+// Method to find an active (unrevoked, unexpired) share token
+playlistSchema.methods.findShareToken = function(token) {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const now = new Date();
+
+    return this.shareTokens.find(share =>
+        share.tokenHash === tokenHash &&
+        !share.revokedAt &&
+        (!share.expiresAt || share.expiresAt > now)
+    ) || null;
+};
+
+// Method to revoke a share token by its ID
+playlistSchema.methods.revokeShareToken = function(shareTokenId) {
+    const share = this.shareTokens.id(shareTokenId);
+    if (!share || share.revokedAt) {
+        throw new Error('Share link not found');
+    }
+
+    share.revokedAt = new Date();
+    return this.save();
+};
+
+// Method to invite a collaborator (re-inviting updates the role)
+playlistSchema.methods.inviteCollaborator = function(userId, role, invitedBy) {
+    if (this.getAccessRole(userId) === 'owner') {
+        throw new Error('Owner cannot be invited as a collaborator');
+    }
+
+    const existing = this.findCollaborator(userId);
+    if (existing) {
+        existing.role = role;
+        return this.save();
+    }
+
+    this.collaborators.push({
+        user: userId,
+        role,
+        invitedBy,
+        invitedAt: new Date()
+    });
+
+    return this.save();
+};
+
+// Method to accept a pending invite
+playlistSchema.methods.acceptInvite = function(userId) {
+    const collaborator = this.findCollaborator(userId);
+    if (!collaborator || collaborator.status !== 'pending') {
+        throw new Error('Invite not found');
+    }
+
+    collaborator.status = 'accepted';
+    collaborator.acceptedAt = new Date();
     return this.save();
 };
 
+// Method to join as an editor through a share link that isn't read-only. The link itself only
+// grants 'viewer'; holders must sign in and accept, and then show up as collaborators the owner can remove.
+playlistSchema.methods.joinWithShareToken = function(userId, token) {
+    const share = this.findShareToken(token);
+    if (!share || share.readOnly) {
+        throw new Error('Invite not found');
+    }
+    if (this.getAccessRole(userId) === 'owner') {
+        throw new Error('Owner cannot be invited as a collaborator');
+    }
+
+    const existing = this.findCollaborator(userId);
+    if (existing) {
+        existing.role = 'editor';
+        existing.status = 'accepted';
+        existing.acceptedAt = new Date();
+        return this.save();
+    }
+
+    this.collaborators.push({
+        user: userId,
+        role: 'editor',
+        status: 'accepted',
+        invitedBy: share.createdBy,
+        invitedAt: new Date(),
+        acceptedAt: new Date()
+    });
+
+    return this.save();
+};
+
+// Method to remove a collaborator or decline an invite
+playlistSchema.methods.removeCollaborator = function(userId) {
+    if (!this.findCollaborator(userId)) {
+        throw new Error('Collaborator not found');
+    }
+
+    this.collaborators = this.collaborators.filter(
+        item => (item.user._id || item.user).toString() !== userId.toString()
+    );
+    return this.save();
+};
+
+// Method to check whether a smart playlist should be re-evaluated
+playlistSchema.methods.isRefreshDue = function(now = new Date()) {
+    if (!this.isSmart || !this.smartRules) return false;
+
+    const { lastRefreshedAt, refreshIntervalHours } = this.smartRules;
+    if (!lastRefreshedAt || !refreshIntervalHours) return true;
+
+    return now - lastRefreshedAt >= refreshIntervalHours * 60 * 60 * 1000;
+};
+
+// Method to increment play count. Counters are updated atomically so they don't
+// bump updatedAt or clash with concurrent track edits; resolves to the new count.
+playlistSchema.methods.incrementPlay = async function() {
+    const { playCount } = await this.constructor.findByIdAndUpdate(
+        this._id,
+        { $inc: { playCount: 1 } },
+        { new: true, timestamps: false, select: 'playCount' }
+    );
+    return playCount;
+};
+
+// Method to increment like count; resolves to the new count
+playlistSchema.methods.incrementLike = async function() {
+    const { likeCount } = await this.constructor.findByIdAndUpdate(
+        this._id,
+        { $inc: { likeCount: 1 } },
+        { new: true, timestamps: false, select: 'likeCount' }
+    );
+    return likeCount;
+};
+
+// Method to decrement like count (never below zero); resolves to the new count
+playlistSchema.methods.decrementLike = async function() {
+    const playlist = await this.constructor.findOneAndUpdate(
+        { _id: this._id, likeCount: { $gt: 0 } },
+        { $inc: { likeCount: -1 } },
+        { new: true, timestamps: false, select: 'likeCount' }
+    );
+    return playlist ? playlist.likeCount : 0;
+};
+
 // Method to toggle follow
 playlistSchema.methods.toggleFollow = function(userId) {
     const index = this.followers.indexOf(userId);
@@ -236,6 +635,16 @@ playlistSchema.methods.toggleFollow = function(userId) {
     }
 };
 
+// Pre-save middleware to bump tracksVersion on track changes.
+// The save only matches the version that was loaded, so concurrent edits can't overwrite each other.
+playlistSchema.pre('save', function(next) {
+    if (!this.isNew && this.isModified('tracks')) {
+        this.$where = { ...this.$where, tracksVersion: this.tracksVersion };
+        this.tracksVersion += 1;
+    }
+    next();
+});
+
 // Pre-save middleware to extract genres and moods from tracks
 playlistSchema.pre('save', async function(next) {
     if (this.isModified('tracks') && this.tracks.length > 0) {
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const playlistFolderSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Folder owner is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Folder name is required'],
+        trim: true,
+        maxlength: [100, 'Folder name cannot exceed 100 characters']
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PlaylistFolder',
+        default: null
+    },
+    position: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Playlists filed in this folder, in display order
+    playlists: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Playlist'
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for playlist count
+playlistFolderSchema.virtual('playlistCount').get(function() {
+    return this.playlists.length;
+});
+
+// Indexes for performance
+playlistFolderSchema.index({ owner: 1, parent: 1, position: 1 });
+playlistFolderSchema.index({ owner: 1, playlists: 1 });
+
+// Static method to get a user's folders in display order
+playlistFolderSchema.statics.getUserFolders = function(ownerId) {
+    return this.find({ owner: ownerId })
+        .sort({ position: 1, createdAt: 1 })
+        .select('-__v');
+};
+
+// Static method to get how deep a folder sits (root folders are depth 1)
+playlistFolderSchema.statics.getDepth = async function(folderId) {
+    let depth = 0;
+    let current = folderId;
+
+    while (current) {
+        const folder = await this.findById(current).select('parent');
+        if (!folder) break;
+        depth += 1;
+        current = folder.parent;
+    }
+
+    return depth;
+};
+
+// Static method to check whether a folder is (or is nested inside) another folder
+playlistFolderSchema.statics.isWithin = async function(folderId, ancestorId) {
+    let current = folderId;
+
+    while (current) {
+        if (current.toString() === ancestorId.toString()) return true;
+        const folder = await this.findById(current).select('parent');
+        current = folder ? folder.parent : null;
+    }
+
+    return false;
+};
+
+// Static method to file a playlist into a folder (a playlist lives in one folder per user)
+playlistFolderSchema.statics.fileInto = async function(ownerId, playlistId, folderId = null) {
+    await this.updateMany({ owner: ownerId }, { $pull: { playlists: playlistId } });
+
+    if (folderId) {
+        await this.updateOne({ _id: folderId, owner: ownerId }, { $push: { playlists: playlistId } });
+    }
+};
+
+module.exports = mongoose.model('PlaylistFolder', playlistFolderSchema);
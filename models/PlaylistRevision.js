@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+// Playlist fields captured in every revision (tracks are handled separately)
+const METADATA_FIELDS = ['name', 'description', 'isPublic', 'isUnlisted', 'coverImage'];
+
+const playlistRevisionSchema = new mongoose.Schema({
+    playlist: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Playlist',
+        required: [true, 'Playlist is required for revision']
+    },
+    revision: {
+        type: Number,
+        required: [true, 'Revision number is required'],
+        min: 1
+    },
+    action: {
+        type: String,
+        enum: ['baseline', 'create', 'update', 'add_track', 'remove_track', 'reorder', 'restore', 'refine'],
+        required: [true, 'Action is required']
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    trackChanges: {
+        added: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Track'
+        }],
+        removed: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Track'
+        }],
+        reordered: {
+            type: Boolean,
+            default: false
+        }
+    },
+    // Full playlist state after this revision, used for restores
+    snapshot: {
+        name: String,
+        description: String,
+        isPublic: Boolean,
+        // Missing from revisions taken before unlisted playlists existed
+        isUnlisted: {
+            type: Boolean,
+            default: false
+        },
+        coverImage: String,
+        tracks: [{
+            _id: false,
+            track: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Track'
+            },
+            addedAt: Date,
+            addedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        }]
+    },
+    restoredFrom: {
+        type: Number
+    },
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+playlistRevisionSchema.index({ playlist: 1, revision: -1 }, { unique: true });
+playlistRevisionSchema.index({ performedBy: 1, createdAt: -1 });
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Static method to capture the restorable state of a playlist
+playlistRevisionSchema.statics.snapshot = function(playlist) {
+    const snapshot = {};
+    METADATA_FIELDS.forEach(field => {
+        snapshot[field] = playlist[field];
+    });
+    snapshot.tracks = playlist.tracks.map(item => ({
+        track: idOf(item.track),
+        addedAt: item.addedAt,
+        addedBy: idOf(item.addedBy)
+    }));
+    return snapshot;
+};
+
+// Static method to describe what changed between two snapshots
+playlistRevisionSchema.statics.diff = function(before, after) {
+    const changes = METADATA_FIELDS
+        .filter(field => before[field] !== after[field])
+        .map(field => ({ field, from: before[field], to: after[field] }));
+
+    const beforeIds = before.tracks.map(item => item.track.toString());
+    const afterIds = after.tracks.map(item => item.track.toString());
+    const added = afterIds.filter(id => !beforeIds.includes(id));
+    const removed = beforeIds.filter(id => !afterIds.includes(id));
+
+    // Only compare positions of tracks present on both sides
+    const keptBefore = beforeIds.filter(id => afterIds.includes(id));
+    const keptAfter = afterIds.filter(id => beforeIds.includes(id));
+    const reordered = keptBefore.some((id, index) => id !== keptAfter[index]);
+
+    return { changes, trackChanges: { added, removed, reordered } };
+};
+
+// Concurrent saves can race for the same revision number; retry this many times
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Static method to record a revision for a saved playlist.
+// Pass the pre-change snapshot as `before` so playlists created before revisions
+// existed get a baseline to restore to. Returns null when nothing changed.
+playlistRevisionSchema.statics.record = async function(playlist, action, userId, options = {}) {
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            return await this.recordNext(playlist, action, userId, options);
+        } catch (error) {
+            // Another save took this revision number: diff against it and take the next one
+            if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+        }
+    }
+};
+
+// Static method to create the next revision (see record)
+playlistRevisionSchema.statics.recordNext = async function(playlist, action, userId, { before, restoredFrom } = {}) {
+    const after = this.snapshot(playlist);
+    let latest = await this.findOne({ playlist: playlist._id }).sort({ revision: -1 });
+
+    if (!latest && before && action !== 'create') {
+        latest = await this.create({
+            playlist: playlist._id,
+            revision: 1,
+            action: 'baseline',
+            snapshot: before
+        });
+    }
+
+    const { changes, trackChanges } = this.diff(latest ? latest.snapshot : { tracks: [] }, after);
+
+    const hasChanges = changes.length > 0 || trackChanges.added.length > 0 ||
+        trackChanges.removed.length > 0 || trackChanges.reordered;
+    if (latest && !hasChanges && action !== 'restore') {
+        return null;
+    }
+
+    return this.create({
+        playlist: playlist._id,
+        revision: latest ? latest.revision + 1 : 1,
+        action,
+        changes,
+        trackChanges,
+        snapshot: after,
+        restoredFrom,
+        performedBy: userId
+    });
+};
+
+// Static method to get a playlist's revision history (newest first)
+playlistRevisionSchema.statics.getPlaylistHistory = function(playlistId, limit = 50, skip = 0) {
+    return this.find({ playlist: playlistId })
+        .populate('performedBy', 'username profilePicture')
+        .populate('trackChanges.added', 'title artist')
+        .populate('trackChanges.removed', 'title artist')
+        .sort({ revision: -1 })
+        .limit(limit)
+        .skip(skip)
+        .select('-snapshot -__v');
+};
+
+module.exports = mongoose.model('PlaylistRevision', playlistRevisionSchema);
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { generateRefreshToken, verifyRefreshToken } = require('../utils/generateToken');
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required for refresh token']
+    },
+    family: {
+        type: String,
+        required: [true, 'Token family is required']
+    },
+    jti: {
+        type: String,
+        required: [true, 'Token ID is required']
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    usedAt: {
+        type: Date
+    },
+    replacedBy: {
+        type: String
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'reuse_detected']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ jti: 1 }, { unique: true });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+// Let MongoDB drop expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a new refresh token (starts a new family unless one is given)
+refreshTokenSchema.statics.issue = async function(userId, family = crypto.randomUUID()) {
+    const jti = crypto.randomUUID();
+    const token = generateRefreshToken(userId, family, jti);
+    const { exp } = jwt.decode(token);
+    const expiresAt = new Date(exp * 1000);
+
+    await this.create({
+        user: userId,
+        family,
+        jti,
+        expiresAt
+    });
+
+    return { token, family, jti, expiresAt };
+};
+
+// Static method to exchange a refresh token for a new one in the same family.
+// Presenting a token that was already rotated revokes the whole family.
+refreshTokenSchema.statics.rotate = async function(token) {
+    const decoded = verifyRefreshToken(token);
+
+    // Atomically claim the token so two concurrent refreshes can't both succeed
+    const current = await this.findOneAndUpdate(
+        { jti: decoded.jti, usedAt: null, revokedAt: null },
+        { usedAt: new Date() },
+        { new: true }
+    );
+
+    if (!current) {
+        const existing = await this.findOne({ jti: decoded.jti });
+
+        if (existing && existing.usedAt && !existing.revokedAt) {
+            await this.revokeFamily(existing.family, 'reuse_detected');
+            throw new Error('Refresh token reuse detected');
+        }
+
+        throw new Error('Invalid refresh token');
+    }
+
+    const next = await this.issue(current.user, current.family);
+    current.replacedBy = next.jti;
+    await current.save();
+
+    return { userId: current.user, ...next };
+};
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason = 'logout') {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required for session']
+    },
+    deviceLabel: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Device label cannot exceed 100 characters'],
+        default: 'Unknown device'
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    revokedAt: {
+        type: Date
+    },
+    // Playlists played during this session; each counts once towards its playCount
+    playedPlaylists: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Playlist'
+        }],
+        select: false
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+// Let MongoDB drop expired sessions on its own
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build a readable device label from a user agent string
+const describeUserAgent = (userAgent = '') => {
+    const browsers = [
+        ['Edge', /Edg\//],
+        ['Opera', /OPR\//],
+        ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//]
+    ];
+    const systems = [
+        ['Windows', /Windows/],
+        ['Android', /Android/],
+        ['iOS', /iPhone|iPad/],
+        ['macOS', /Mac OS X/],
+        ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    if (!system) return browser[0];
+    if (!browser) return system[0];
+    return `${browser[0]} on ${system[0]}`;
+};
+
+// Static method to start a session and issue its first refresh token.
+// The session ID doubles as the refresh token family.
+sessionSchema.statics.start = async function(userId, { userAgent = '', ipAddress = '', deviceLabel } = {}) {
+    const session = new this({
+        user: userId,
+        userAgent,
+        ipAddress,
+        deviceLabel: deviceLabel || describeUserAgent(userAgent)
+    });
+
+    const refreshToken = await RefreshToken.issue(userId, session._id.toString());
+    session.expiresAt = refreshToken.expiresAt;
+    await session.save();
+
+    return { session, refreshToken };
+};
+
+// Static method to find a session that can still be used
+sessionSchema.statics.findActive = function(sessionId, userId) {
+    return this.findOne({
+        _id: sessionId,
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Static method to get a user's active sessions
+sessionSchema.statics.getUserSessions = function(userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+    .sort({ lastSeenAt: -1 })
+    .select('-__v');
+};
+
+// Static method to revoke every session of a user (optionally keeping one)
+sessionSchema.statics.revokeAllForUser = async function(userId, exceptSessionId = null) {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    const sessions = await this.find(query).select('_id');
+    await Promise.all(sessions.map(session => RefreshToken.revokeFamily(session._id.toString())));
+    await this.updateMany(query, { revokedAt: new Date() });
+
+    return sessions.length;
+};
+
+// Method to record activity (throttled to one write per minute)
+sessionSchema.methods.touch = function() {
+    const now = new Date();
+    if (now - this.lastSeenAt < 60 * 1000) {
+        return Promise.resolve(this);
+    }
+
+    this.lastSeenAt = now;
+    return this.save();
+};
+
+// Method to remember a playlist play; resolves true the first time it's played in this session
+sessionSchema.methods.registerPlaylistPlay = async function(playlistId) {
+    const { modifiedCount } = await this.constructor.updateOne(
+        { _id: this._id, playedPlaylists: { $ne: playlistId } },
+        { $push: { playedPlaylists: playlistId } },
+        { timestamps: false }
+    );
+    return modifiedCount > 0;
+};
+
+// Method to revoke the session and its refresh tokens
+sessionSchema.methods.revoke = async function() {
+    this.revokedAt = new Date();
+    await RefreshToken.revokeFamily(this._id.toString());
+    return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
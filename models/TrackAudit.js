@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const trackAuditSchema = new mongoose.Schema({
+    track: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Track',
+        required: [true, 'Track is required for audit entry']
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'deactivate', 'restore'],
+        required: [true, 'Action is required']
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    performedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for performance
+trackAuditSchema.index({ track: 1, createdAt: -1 });
+trackAuditSchema.index({ performedBy: 1, createdAt: -1 });
+
+// Static method to record an audit entry
+trackAuditSchema.statics.record = function(trackId, action, userId, changes = []) {
+    return this.create({
+        track: trackId,
+        action,
+        performedBy: userId,
+        changes
+    });
+};
+
+// Static method to list the fields that differ between two plain track objects
+trackAuditSchema.statics.diff = function(before, after, fields) {
+    return fields
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Static method to get a track's audit trail
+trackAuditSchema.statics.getTrackHistory = function(trackId, limit = 50, skip = 0) {
+    return this.find({ track: trackId })
+        .populate('performedBy', 'username role')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip)
+        .select('-__v');
+};
+
+module.exports = mongoose.model('TrackAudit', trackAuditSchema);
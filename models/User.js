@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { getRandomAvatar } = require('../utils/avatarHelper');
+const { ROLES, hasPermission } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -42,6 +44,10 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Playlist'
     }],
+    likedPlaylists: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Playlist'
+    }],
     listeningHistory: [{
         track: {
             type: mongoose.Schema.Types.ObjectId,
@@ -67,6 +73,22 @@ const userSchema = new mongoose.Schema({
             default: 'system'
         }
     },
+    // How the user organises their playlist library (folders live in PlaylistFolder)
+    library: {
+        sort: {
+            type: String,
+            enum: ['recent', 'updated', 'name', 'custom'],
+            default: 'recent'
+        },
+        pinned: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Playlist'
+        }],
+        order: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Playlist'
+        }]
+    },
     stats: {
         totalListeningTime: {
             type: Number,
@@ -81,10 +103,34 @@ const userSchema = new mongoose.Schema({
             default: Date.now
         }
     },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'user'
+    },
     isVerified: {
         type: Boolean,
         default: false
     },
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    emailVerificationSentAt: {
+        type: Date
+    },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     lastActive: {
         type: Date,
         default: Date.now
@@ -146,6 +192,32 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check a permission against the user's role
+userSchema.methods.can = function(permission) {
+    return hasPermission(this.role, permission);
+};
+
+// Method to create an email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+
+    this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+    this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+    this.emailVerificationSentAt = new Date();
+
+    return verificationToken;
+};
+
+// Method to create a password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+
+    return resetToken;
+};
+
 // Method to add to listening history
 userSchema.methods.addToHistory = function(trackId, duration = 0) {
     // Remove if already exists to avoid duplicates
@@ -180,10 +252,32 @@ userSchema.methods.toggleLike = function(trackId) {
     }
 };
 
+// Method to toggle like on a playlist. Updated atomically so concurrent requests can't like twice;
+// resolves to { isLiked, changed }, where changed is false if another request got there first.
+userSchema.methods.toggleLikePlaylist = async function(playlistId) {
+    const unliked = await this.constructor.updateOne(
+        { _id: this._id, likedPlaylists: playlistId },
+        { $pull: { likedPlaylists: playlistId } }
+    );
+    if (unliked.modifiedCount > 0) {
+        return { isLiked: false, changed: true };
+    }
+
+    const liked = await this.constructor.updateOne(
+        { _id: this._id, likedPlaylists: { $ne: playlistId } },
+        { $addToSet: { likedPlaylists: playlistId } }
+    );
+    return { isLiked: true, changed: liked.modifiedCount > 0 };
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
     const userObject = this.toObject();
     delete userObject.password;
+    delete userObject.emailVerificationToken;
+    delete userObject.emailVerificationExpires;
+    delete userObject.passwordResetToken;
+    delete userObject.passwordResetExpires;
     return userObject;
 };
 
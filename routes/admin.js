@@ -0,0 +1,47 @@
+const express = require('express');
+const {
+    getUsers,
+    updateUserRole,
+    getAdminTracks,
+    createTrack,
+    updateTrack,
+    deactivateTrack,
+    restoreTrack,
+    getTrackHistory,
+    ingestYouTubeTracks,
+    importTracks,
+    exportTracks,
+    roleValidation,
+    createTrackValidation,
+    updateTrackValidation,
+    ingestValidation
+} = require('../controllers/adminController');
+const { protect, adminOnly, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Catalog imports arrive as raw CSV / NDJSON text
+const catalogBodyParser = express.text({
+    type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl'],
+    limit: '10mb'
+});
+
+// All admin routes require authentication
+router.use(protect);
+
+// User management
+router.get('/users', adminOnly, getUsers);
+router.put('/users/:id/role', adminOnly, roleValidation, updateUserRole);
+
+// Track catalog management (curators and admins)
+router.get('/tracks', requirePermission('tracks:manage'), getAdminTracks);
+router.post('/tracks', requirePermission('tracks:manage'), createTrackValidation, createTrack);
+router.put('/tracks/:id', requirePermission('tracks:manage'), updateTrackValidation, updateTrack);
+router.delete('/tracks/:id', requirePermission('tracks:manage'), deactivateTrack);
+router.post('/tracks/:id/restore', requirePermission('tracks:manage'), restoreTrack);
+router.get('/tracks/:id/history', requirePermission('tracks:manage'), getTrackHistory);
+router.post('/tracks/import', requirePermission('tracks:manage'), catalogBodyParser, importTracks);
+router.get('/tracks/export', requirePermission('tracks:manage'), exportTracks);
+router.post('/tracks/ingest/youtube', requirePermission('tracks:manage'), ingestValidation, ingestYouTubeTracks);
+
+module.exports = router;
@@ -1,14 +1,22 @@
 const express = require('express');
 const {
     generatePlaylist,
+    streamPlaylistGeneration,
+    generateSeededPlaylist,
+    getAIRequest,
     getAIHistory,
     regeneratePlaylist,
+    refinePlaylist,
     ratePlaylist,
     getAIAnalytics,
     generateValidation,
+    seedValidation,
+    streamValidation,
+    refineValidation,
     ratingValidation
 } = require('../controllers/aiController');
-const { protect, aiRateLimit } = require('../middleware/auth');
+const { protect, aiRateLimit, requireVerified, checkOwnership } = require('../middleware/auth');
+const Playlist = require('../models/Playlist');
 
 const router = express.Router();
 
@@ -16,13 +24,19 @@ const router = express.Router();
 router.use(protect);
 
 // AI playlist generation
-router.post('/generate', aiRateLimit, generateValidation, generatePlaylist);
+router.post('/generate', requireVerified, aiRateLimit, generateValidation, generatePlaylist);
+router.get('/generate/stream', requireVerified, aiRateLimit, streamValidation, streamPlaylistGeneration);
+router.post('/generate/seeds', requireVerified, aiRateLimit, seedValidation, generateSeededPlaylist);
 
 // AI request management
 router.get('/history', getAIHistory);
-router.post('/regenerate/:requestId', aiRateLimit, regeneratePlaylist);
+router.get('/requests/:id', getAIRequest);
+router.post('/regenerate/:requestId', requireVerified, aiRateLimit, regeneratePlaylist);
 router.post('/rate/:requestId', ratingValidation, ratePlaylist);
 
+// Conversational refinement of a generated playlist
+router.post('/playlists/:id/refine', requireVerified, aiRateLimit, checkOwnership(Playlist, ['owner', 'editor']), refineValidation, refinePlaylist);
+
 // AI analytics and insights
 router.get('/analytics', getAIAnalytics);
 
@@ -3,13 +3,23 @@ const {
     signup,
     login,
     logout,
+    refresh,
+    getSessions,
+    revokeSession,
+    logoutAll,
     getMe,
     updateProfile,
     changePassword,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword,
     signupValidation,
     loginValidation,
     profileValidation,
-    passwordValidation
+    passwordValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation
 } = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 
@@ -18,11 +28,19 @@ const router = express.Router();
 // Public routes
 router.post('/signup', signupValidation, signup);
 router.post('/login', loginValidation, login);
+router.post('/refresh', refresh);
+router.get('/verify/:token', verifyEmail);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password/:token', resetPasswordValidation, resetPassword);
 
 // Protected routes
 router.use(protect); // All routes below this middleware are protected
 
 router.post('/logout', logout);
+router.post('/logout-all', logoutAll);
+router.get('/sessions', getSessions);
+router.delete('/sessions/:id', revokeSession);
+router.post('/verify/resend', resendVerification);
 router.get('/me', getMe);
 router.put('/profile', profileValidation, updateProfile);
 router.put('/password', passwordValidation, changePassword);
@@ -2,40 +2,137 @@ const express = require('express');
 const {
     getUserPlaylists,
     getPublicPlaylists,
+    searchPlaylists,
+    getFeaturedPlaylists,
     getPlaylist,
+    exportPlaylist,
     createPlaylist,
+    importPlaylist,
     updatePlaylist,
     deletePlaylist,
     addTrackToPlaylist,
     removeTrackFromPlaylist,
+    reorderPlaylistTracks,
+    movePlaylistTrack,
+    forkPlaylist,
     toggleFollowPlaylist,
+    recordPlaylistPlay,
+    toggleLikePlaylist,
+    getShareLinks,
+    createShareLink,
+    revokeShareLink,
+    createSmartPlaylist,
+    updateSmartRules,
+    refreshPlaylist,
+    getPlaylistHistory,
+    restorePlaylistRevision,
+    getPlaylistInvites,
+    inviteCollaborator,
+    updateCollaboratorRole,
+    removeCollaborator,
+    acceptPlaylistInvite,
+    declinePlaylistInvite,
     createPlaylistValidation,
     updatePlaylistValidation,
-    addTrackValidation
+    forkPlaylistValidation,
+    shareLinkValidation,
+    searchValidation,
+    addTrackValidation,
+    reorderTracksValidation,
+    moveTrackValidation,
+    inviteCollaboratorValidation,
+    updateCollaboratorValidation,
+    smartRulesValidation,
+    createSmartPlaylistValidation
 } = require('../controllers/playlistController');
-const { protect, optionalAuth } = require('../middleware/auth');
+const {
+    getFolders,
+    createFolder,
+    updateFolder,
+    deleteFolder,
+    addPlaylistToFolder,
+    removePlaylistFromFolder,
+    togglePinPlaylist,
+    updateLibrarySettings,
+    createFolderValidation,
+    updateFolderValidation,
+    folderPlaylistValidation,
+    librarySettingsValidation
+} = require('../controllers/libraryController');
+const { protect, optionalAuth, requireVerifiedToPublish, checkOwnership } = require('../middleware/auth');
+const Playlist = require('../models/Playlist');
 
 const router = express.Router();
 
+// Playlist files arrive as raw text (JSPF sent as application/json is parsed by express.json)
+const playlistFileParser = express.text({
+    type: ['text/plain', 'audio/x-mpegurl', 'audio/mpegurl', 'application/vnd.apple.mpegurl', 'application/xspf+xml', 'application/xml', 'text/xml'],
+    limit: '2mb'
+});
+
 // Public routes
 router.get('/public', getPublicPlaylists);
+router.get('/search', searchValidation, searchPlaylists);
+router.get('/featured', getFeaturedPlaylists);
+
+// Declared before /:id so these paths aren't treated as playlist IDs
+router.get('/invites', protect, getPlaylistInvites);
+
+// Library organisation
+router.put('/library', protect, librarySettingsValidation, updateLibrarySettings);
+router.get('/folders', protect, getFolders);
+router.post('/folders', protect, createFolderValidation, createFolder);
+router.put('/folders/:folderId', protect, updateFolderValidation, updateFolder);
+router.delete('/folders/:folderId', protect, deleteFolder);
+router.put('/folders/:folderId/playlists', protect, folderPlaylistValidation, addPlaylistToFolder);
+router.delete('/folders/:folderId/playlists/:playlistId', protect, removePlaylistFromFolder);
 
 // Routes with optional auth for enhanced features
 router.get('/:id', optionalAuth, getPlaylist);
+router.get('/:id/export', optionalAuth, exportPlaylist);
 
 // Protected routes
 router.use(protect); // All routes below require authentication
 
 router.get('/', getUserPlaylists);
-router.post('/', createPlaylistValidation, createPlaylist);
-router.put('/:id', updatePlaylistValidation, updatePlaylist);
-router.delete('/:id', deletePlaylist);
+router.post('/', requireVerifiedToPublish, createPlaylistValidation, createPlaylist);
+router.post('/import', playlistFileParser, importPlaylist);
+router.post('/smart', requireVerifiedToPublish, createSmartPlaylistValidation, createSmartPlaylist);
+router.put('/:id', requireVerifiedToPublish, checkOwnership(Playlist), updatePlaylistValidation, updatePlaylist);
+router.delete('/:id', checkOwnership(Playlist), deletePlaylist);
+
+// Track management within playlists (owner or editor)
+const canEditTracks = checkOwnership(Playlist, ['owner', 'editor']);
+router.post('/:id/tracks', canEditTracks, addTrackValidation, addTrackToPlaylist);
+router.put('/:id/tracks/order', canEditTracks, reorderTracksValidation, reorderPlaylistTracks);
+router.put('/:id/tracks/move', canEditTracks, moveTrackValidation, movePlaylistTrack);
+router.delete('/:id/tracks/:trackId', canEditTracks, removeTrackFromPlaylist);
+
+// Smart playlists
+router.put('/:id/rules', checkOwnership(Playlist), smartRulesValidation, updateSmartRules);
+router.post('/:id/refresh', canEditTracks, refreshPlaylist);
+
+// Share links
+router.get('/:id/share', checkOwnership(Playlist), getShareLinks);
+router.post('/:id/share', checkOwnership(Playlist), shareLinkValidation, createShareLink);
+router.delete('/:id/share/:shareId', checkOwnership(Playlist), revokeShareLink);
+
+// Revision history
+router.get('/:id/history', checkOwnership(Playlist, ['owner', 'editor', 'viewer']), getPlaylistHistory);
+router.post('/:id/history/:revision/restore', checkOwnership(Playlist), restorePlaylistRevision);
 
-// Track management within playlists
-router.post('/:id/tracks', addTrackValidation, addTrackToPlaylist);
-router.delete('/:id/tracks/:trackId', removeTrackFromPlaylist);
+// Collaboration
+router.post('/:id/collaborators', checkOwnership(Playlist), inviteCollaboratorValidation, inviteCollaborator);
+router.post('/:id/collaborators/accept', acceptPlaylistInvite);
+router.post('/:id/collaborators/decline', declinePlaylistInvite);
+router.put('/:id/collaborators/:userId', checkOwnership(Playlist), updateCollaboratorValidation, updateCollaboratorRole);
+router.delete('/:id/collaborators/:userId', checkOwnership(Playlist, ['owner', 'editor', 'viewer']), removeCollaborator);
 
 // Social features
 router.post('/:id/follow', toggleFollowPlaylist);
+router.post('/:id/like', toggleLikePlaylist);
+router.post('/:id/play', recordPlaylistPlay);
+router.post('/:id/fork', forkPlaylistValidation, forkPlaylist);
+router.post('/:id/pin', togglePinPlaylist);
 
 module.exports = router;
@@ -12,9 +12,12 @@ const trackRoutes = require('./routes/tracks');
 const playlistRoutes = require('./routes/playlists');
 const aiRoutes = require('./routes/ai');
 const userRoutes = require('./routes/user');
+const adminRoutes = require('./routes/admin');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { startSmartPlaylistScheduler } = require('./utils/smartPlaylist');
+const { startAIWorker } = require('./utils/aiWorker');
 
 // Load environment variables
 dotenv.config();
@@ -51,6 +54,15 @@ app.use(cookieParser());
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rawmusic')
     .then(() => {
         console.log('✅ Connected to MongoDB');
+
+        // Refresh scheduled smart playlists in the background
+        startSmartPlaylistScheduler(Number(process.env.SMART_PLAYLIST_REFRESH_MINUTES ?? 15));
+
+        // Process queued AI generation requests and recover interrupted ones
+        startAIWorker({
+            pollSeconds: Number(process.env.AI_WORKER_POLL_SECONDS ?? 5),
+            timeoutMinutes: Number(process.env.AI_JOB_TIMEOUT_MINUTES ?? 5)
+        });
     })
     .catch((error) => {
         console.error('❌ MongoDB connection error:', error);
@@ -73,6 +85,7 @@ app.use('/api/tracks', trackRoutes);
 app.use('/api/playlists', playlistRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
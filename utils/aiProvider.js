@@ -0,0 +1,135 @@
+const Track = require('../models/Track');
+const { createGeminiProvider } = require('./geminiProvider');
+const localProvider = require('./localAIProvider');
+
+// An AI provider is any object with:
+//   name                                   - stored on each AIRequest
+//   extractIntent(prompt)                  - resolves to { moods, genres, keywords } (title/description optional)
+//   describePlaylist(prompt, intent)       - resolves to { playlistTitle, description }
+//   refineIntent(intent, instruction, history)
+//                                          - resolves to the updated { moods, genres, keywords } plus
+//                                            excludeMoods/Genres/Keywords, requireKeywords,
+//                                            adjust ({ energy, valence, danceability, bpm }: up or down) and summary
+
+const GENRES = Track.schema.path('genre').enumValues;
+const MOODS = Track.schema.path('mood').caster.enumValues;
+const AUDIO_FEATURES = ['energy', 'valence', 'danceability', 'bpm'];
+
+// Pick a provider from AI_PROVIDER (gemini or local; defaults to gemini when GEMINI_API_KEY is set, else local)
+const createProvider = () => {
+    const type = process.env.AI_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'local');
+
+    switch (type) {
+        case 'gemini':
+            return createGeminiProvider();
+        case 'local':
+            return localProvider;
+        default:
+            throw new Error(`Unknown AI provider: ${type}`);
+    }
+};
+
+let provider = null;
+
+// Swap the provider (anything implementing the interface above); pass null to reset
+const setProvider = (customProvider) => {
+    provider = customProvider;
+};
+
+const getProvider = () => {
+    if (!provider) {
+        provider = createProvider();
+    }
+    return provider;
+};
+
+// Lowercase, dedupe and (optionally) restrict a list of strings from a provider
+const clean = (values, allowed) => [...new Set((Array.isArray(values) ? values : [])
+    .filter(value => typeof value === 'string')
+    .map(value => value.toLowerCase().trim())
+    .filter(value => value && (!allowed || allowed.includes(value))))];
+
+// Keep only moods and genres the catalog knows about, and tidy keywords
+const normalizeIntent = (intent = {}) => {
+    return {
+        moods: clean(intent.moods, MOODS),
+        genres: clean(intent.genres, GENRES),
+        keywords: clean(intent.keywords).slice(0, 10)
+    };
+};
+
+// Extract the intent and name the playlist with one provider
+const runProvider = async (activeProvider, prompt) => {
+    const raw = await activeProvider.extractIntent(prompt);
+    const intent = normalizeIntent(raw);
+
+    const details = raw.playlistTitle && raw.description
+        ? raw
+        : await activeProvider.describePlaylist(prompt, intent);
+
+    return {
+        ...intent,
+        playlistTitle: details.playlistTitle,
+        description: details.description,
+        provider: activeProvider.name,
+        raw
+    };
+};
+
+// Tidy a refinement: valid moods/genres only, and up/down adjustments for known audio features
+const normalizeRefinement = (refinement = {}) => {
+    const adjust = {};
+    AUDIO_FEATURES.forEach(feature => {
+        const direction = refinement.adjust && refinement.adjust[feature];
+        if (direction === 'up' || direction === 'down') adjust[feature] = direction;
+    });
+
+    return {
+        ...normalizeIntent(refinement),
+        excludeMoods: clean(refinement.excludeMoods, MOODS),
+        excludeGenres: clean(refinement.excludeGenres, GENRES),
+        excludeKeywords: clean(refinement.excludeKeywords),
+        requireKeywords: clean(refinement.requireKeywords),
+        adjust,
+        summary: typeof refinement.summary === 'string' ? refinement.summary.substring(0, 500) : ''
+    };
+};
+
+// Run a task with the configured provider. When it fails (a Gemini outage, say)
+// the local provider takes over, unless AI_FALLBACK is set to false.
+const withFallback = async (task) => {
+    let activeProvider;
+    try {
+        activeProvider = getProvider();
+        return await task(activeProvider);
+    } catch (error) {
+        if (activeProvider === localProvider || process.env.AI_FALLBACK === 'false') {
+            throw error;
+        }
+
+        console.error(`AI provider ${activeProvider ? activeProvider.name : 'setup'} failed, using local provider:`, error.message);
+        return task(localProvider);
+    }
+};
+
+// Analyse a prompt: extract the intent and name the playlist
+const analyzePrompt = (prompt) => withFallback(activeProvider => runProvider(activeProvider, prompt));
+
+// Work out how a follow-up instruction changes an earlier intent
+const refineIntent = (intent, instruction, history = []) => withFallback(async (activeProvider) => {
+    const raw = await activeProvider.refineIntent(intent, instruction, history);
+    return {
+        ...normalizeRefinement(raw),
+        provider: activeProvider.name,
+        raw
+    };
+});
+
+module.exports = {
+    getProvider,
+    setProvider,
+    normalizeIntent,
+    normalizeRefinement,
+    analyzePrompt,
+    refineIntent
+};
@@ -0,0 +1,73 @@
+const AIRequest = require('../models/AIRequest');
+const { generateFromRequest } = require('./playlistGenerator');
+
+// A queued request that keeps getting interrupted is given up after this many tries
+const MAX_ATTEMPTS = 3;
+
+let enabled = false;
+let running = false;
+
+// Process queued AI requests one at a time until the queue is empty; resolves to the number processed
+const processQueue = async () => {
+    if (running) return 0;
+    running = true;
+
+    let processed = 0;
+    try {
+        let aiRequest;
+        while ((aiRequest = await AIRequest.claimNext())) {
+            try {
+                await generateFromRequest(aiRequest, aiRequest.options);
+            } catch (error) {
+                console.error(`AI request ${aiRequest._id} failed:`, error.message);
+                await aiRequest.updateStatus('failed', error.message);
+            }
+            processed += 1;
+        }
+    } finally {
+        running = false;
+    }
+    return processed;
+};
+
+// Start on a newly queued request right away instead of waiting for the next poll
+const wakeAIWorker = () => {
+    if (!enabled) return;
+
+    processQueue().catch(error => {
+        console.error('AI worker error:', error.message);
+    });
+};
+
+// Recover stuck requests, then poll the queue (pollSeconds <= 0 disables the worker on this instance)
+const startAIWorker = ({ pollSeconds, timeoutMinutes }) => {
+    if (!(pollSeconds > 0)) return null;
+    enabled = true;
+
+    const tick = async () => {
+        const { requeued, failed } = await AIRequest.recoverStuck(timeoutMinutes, MAX_ATTEMPTS);
+        if (requeued || failed) {
+            console.log(`AI worker recovered stuck requests: ${requeued} requeued, ${failed} failed`);
+        }
+        await processQueue();
+    };
+
+    const run = () => {
+        tick().catch(error => {
+            console.error('AI worker error:', error.message);
+        });
+    };
+
+    run();
+    const timer = setInterval(run, pollSeconds * 1000);
+
+    // Don't keep the process alive just for the worker
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    processQueue,
+    wakeAIWorker,
+    startAIWorker
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { importCatalog, exportCatalog } = require('./catalogTransfer');
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run catalog -- import <file.csv|file.ndjson> [--dry-run] [--format csv|ndjson]
+  npm run catalog -- export <file.csv|file.ndjson> [--include-inactive] [--format csv|ndjson]`;
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rawmusic');
+        console.log('✅ Connected to MongoDB');
+    } catch (error) {
+        console.error('❌ MongoDB connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Pick the format from --format or the file extension
+const resolveFormat = (file, explicitFormat) => {
+    const format = (explicitFormat || path.extname(file).slice(1)).toLowerCase();
+    if (format === 'csv') return 'csv';
+    if (['ndjson', 'jsonl'].includes(format)) return 'ndjson';
+    throw new Error(`Cannot tell the format of ${file}; pass --format csv or --format ndjson`);
+};
+
+const runImport = async (file, format, dryRun) => {
+    const text = await fs.promises.readFile(file, 'utf8');
+    const report = await importCatalog(text, format, { dryRun });
+
+    console.log(`\n📥 ${dryRun ? 'Dry run' : 'Import'} of ${report.total} rows:`);
+    console.log(`   created:   ${report.created}`);
+    console.log(`   updated:   ${report.updated}`);
+    console.log(`   unchanged: ${report.unchanged}`);
+    console.log(`   failed:    ${report.failed}`);
+
+    report.errors.forEach(({ line, youtubeId, messages }) => {
+        console.log(`   ⚠️  line ${line}${youtubeId ? ` (${youtubeId})` : ''}: ${messages.join('; ')}`);
+    });
+
+    return report.failed === 0;
+};
+
+const runExport = async (file, format, includeInactive) => {
+    const stream = fs.createWriteStream(file);
+    const count = await exportCatalog(stream, format, { includeInactive });
+    await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+
+    console.log(`\n📤 Exported ${count} tracks to ${file}`);
+    return true;
+};
+
+const run = async (argv) => {
+    let exitCode = 0;
+    const [command, file, ...rest] = argv;
+    const formatIndex = rest.indexOf('--format');
+    const explicitFormat = formatIndex > -1 ? rest[formatIndex + 1] : undefined;
+
+    try {
+        if (!['import', 'export'].includes(command) || !file) {
+            throw new Error(USAGE);
+        }
+
+        const format = resolveFormat(file, explicitFormat);
+        await connectDB();
+
+        const ok = command === 'import'
+            ? await runImport(file, format, rest.includes('--dry-run'))
+            : await runExport(file, format, rest.includes('--include-inactive'));
+
+        exitCode = ok ? 0 : 1;
+
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        process.exit(exitCode);
+    }
+};
+
+// Run from the command line
+if (require.main === module) {
+    run(process.argv.slice(2));
+}
+
+module.exports = { run };
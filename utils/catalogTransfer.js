@@ -0,0 +1,339 @@
+const { once } = require('events');
+const Track = require('../models/Track');
+const TrackAudit = require('../models/TrackAudit');
+const { getYouTubeUrl, getYouTubeThumbnails, extractYouTubeId } = require('./youtubeHelper');
+
+// Columns used for CSV import/export (lists are separated with |)
+const CSV_COLUMNS = [
+    'youtubeId', 'title', 'artist', 'album', 'duration', 'genre', 'mood', 'tags',
+    'youtubeUrl', 'releaseYear', 'language', 'audioQuality', 'isActive',
+    'energy', 'danceability', 'valence', 'bpm', 'key'
+];
+
+// Track fields an import may set
+const IMPORTABLE_FIELDS = [
+    'title', 'artist', 'album', 'duration', 'genre', 'mood', 'tags', 'youtubeUrl',
+    'thumbnail', 'releaseYear', 'language', 'audioQuality', 'isActive', 'metadata'
+];
+
+const METADATA_FIELDS = ['energy', 'danceability', 'valence', 'bpm', 'key'];
+
+// Parse CSV text into records ({ line, data }) keyed by the header row
+const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowStartLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowStartLine, values: row });
+            row = [];
+            field = '';
+            line++;
+            rowStartLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowStartLine, values: row });
+    }
+
+    const [header, ...body] = rows.filter(({ values }) => values.some(value => value.trim() !== ''));
+    if (!header) return { records: [], errors: [] };
+
+    const columns = header.values.map(column => column.trim());
+    const records = body.map(({ line: recordLine, values }) => ({
+        line: recordLine,
+        data: Object.fromEntries(columns.map((column, index) => [column, values[index]]))
+    }));
+
+    return { records, errors: [] };
+};
+
+// Parse newline-delimited JSON into records, collecting per-line parse errors
+const parseNDJSON = (text) => {
+    const records = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((content, index) => {
+        if (!content.trim()) return;
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            errors.push({ line: index + 1, messages: [`Invalid JSON: ${error.message}`] });
+            return;
+        }
+
+        // Each line must describe one track
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            errors.push({ line: index + 1, messages: ['Each line must be a JSON object'] });
+            return;
+        }
+        records.push({ line: index + 1, data });
+    });
+
+    return { records, errors };
+};
+
+// Accept seconds or m:ss / h:mm:ss
+const parseDuration = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return undefined;
+
+    if (value.includes(':')) {
+        return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+    return Number(value);
+};
+
+const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string' || value.trim() === '') return undefined;
+    return value.split(/[|;]/).map(item => item.trim().toLowerCase()).filter(Boolean);
+};
+
+const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    return Number(value);
+};
+
+const toBoolean = (value) => {
+    if (typeof value === 'boolean') return value;
+    if (typeof value !== 'string' || value.trim() === '') return undefined;
+    return ['true', '1', 'yes'].includes(value.trim().toLowerCase());
+};
+
+const toText = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    return String(value).trim();
+};
+
+// Normalise a flat CSV row or a nested JSON object into Track fields
+const recordToTrack = (data) => {
+    const metadata = { ...(typeof data.metadata === 'object' && data.metadata ? data.metadata : {}) };
+    METADATA_FIELDS.forEach(field => {
+        if (data[field] !== undefined && data[field] !== '') {
+            metadata[field] = field === 'key' ? String(data[field]) : toNumber(data[field]);
+        }
+    });
+
+    const track = {
+        youtubeId: extractYouTubeId(toText(data.youtubeId) || toText(data.youtubeUrl)),
+        title: toText(data.title),
+        artist: toText(data.artist),
+        album: toText(data.album),
+        duration: parseDuration(data.duration),
+        genre: toText(data.genre)?.toLowerCase(),
+        mood: toList(data.mood),
+        tags: toList(data.tags),
+        youtubeUrl: toText(data.youtubeUrl),
+        thumbnail: typeof data.thumbnail === 'object' && data.thumbnail ? data.thumbnail : undefined,
+        releaseYear: toNumber(data.releaseYear),
+        language: toText(data.language)?.toLowerCase(),
+        audioQuality: toText(data.audioQuality)?.toLowerCase(),
+        isActive: toBoolean(data.isActive),
+        metadata: Object.keys(metadata).length > 0 ? metadata : undefined
+    };
+
+    // Drop fields the record didn't provide so updates leave them alone
+    Object.keys(track).forEach(key => track[key] === undefined && delete track[key]);
+    return track;
+};
+
+// List schema validation messages for a document
+const validationMessages = (doc) => {
+    const error = doc.validateSync();
+    return error ? Object.values(error.errors).map(err => err.message) : [];
+};
+
+// Import parsed records into the catalog, upserting on youtubeId
+// options: { dryRun, userId }
+const importTracks = async ({ records, errors: parseErrors = [] }, { dryRun = false, userId } = {}) => {
+    const report = {
+        dryRun,
+        total: records.length + parseErrors.length,
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        failed: parseErrors.length,
+        errors: [...parseErrors]
+    };
+    const fail = (line, youtubeId, messages) => {
+        report.failed += 1;
+        report.errors.push({ line, youtubeId, messages });
+    };
+
+    const tracks = records.map(record => ({ line: record.line, data: recordToTrack(record.data) }));
+    const existingTracks = await Track.find({
+        youtubeId: { $in: tracks.map(({ data }) => data.youtubeId).filter(Boolean) }
+    });
+    const existingById = new Map(existingTracks.map(track => [track.youtubeId, track]));
+    const seen = new Set();
+
+    for (const { line, data } of tracks) {
+        const { youtubeId, ...fields } = data;
+
+        if (!youtubeId) {
+            fail(line, undefined, ['Missing or invalid youtubeId']);
+            continue;
+        }
+        if (seen.has(youtubeId)) {
+            fail(line, youtubeId, ['Duplicate youtubeId in import file']);
+            continue;
+        }
+        seen.add(youtubeId);
+
+        try {
+            const existing = existingById.get(youtubeId);
+
+            if (existing) {
+                const before = existing.toObject();
+                IMPORTABLE_FIELDS.forEach(field => {
+                    if (fields[field] === undefined) return;
+
+                    // Nested objects are merged so partial rows don't wipe values
+                    if (field === 'metadata' || field === 'thumbnail') {
+                        existing[field] = { ...(before[field] || {}), ...fields[field] };
+                    } else {
+                        existing[field] = fields[field];
+                    }
+                });
+
+                const messages = validationMessages(existing);
+                if (messages.length > 0) {
+                    fail(line, youtubeId, messages);
+                    continue;
+                }
+
+                const changes = TrackAudit.diff(before, existing.toObject(), IMPORTABLE_FIELDS);
+                if (changes.length === 0) {
+                    report.unchanged += 1;
+                    continue;
+                }
+
+                if (!dryRun) {
+                    await existing.save();
+                    await TrackAudit.record(existing._id, 'update', userId, changes);
+                }
+                report.updated += 1;
+                continue;
+            }
+
+            const track = new Track({
+                youtubeUrl: getYouTubeUrl(youtubeId),
+                thumbnail: getYouTubeThumbnails(youtubeId),
+                ...fields,
+                youtubeId,
+                addedBy: userId ? userId.toString() : 'import'
+            });
+
+            const messages = validationMessages(track);
+            if (messages.length > 0) {
+                fail(line, youtubeId, messages);
+                continue;
+            }
+
+            if (!dryRun) {
+                await track.save();
+                await TrackAudit.record(track._id, 'create', userId, [
+                    { field: 'youtubeId', from: undefined, to: youtubeId }
+                ]);
+            }
+            report.created += 1;
+
+        } catch (error) {
+            fail(line, youtubeId, [error.message]);
+        }
+    }
+
+    report.errors.sort((a, b) => a.line - b.line);
+    return report;
+};
+
+// Parse and import catalog text in the given format (csv or ndjson)
+const importCatalog = (text, format, options) => {
+    const parsed = format === 'csv' ? parseCSV(text) : parseNDJSON(text);
+    return importTracks(parsed, options);
+};
+
+const escapeCSV = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = Array.isArray(value) ? value.join('|') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format a track as a CSV line
+const trackToCSV = (track) => {
+    const flat = { ...track, ...(track.metadata || {}) };
+    return CSV_COLUMNS.map(column => escapeCSV(flat[column])).join(',');
+};
+
+// Format a track as a JSON line
+const trackToJSON = (track) => {
+    const output = { youtubeId: track.youtubeId };
+    IMPORTABLE_FIELDS.forEach(field => {
+        if (track[field] !== undefined) output[field] = track[field];
+    });
+    return JSON.stringify(output);
+};
+
+// Stream the catalog to a writable stream in csv or ndjson format
+const exportCatalog = async (stream, format, { includeInactive = false } = {}) => {
+    const filter = includeInactive ? {} : { isActive: true };
+    const write = async (chunk) => {
+        if (!stream.write(chunk)) {
+            await once(stream, 'drain');
+        }
+    };
+
+    if (format === 'csv') {
+        await write(`${CSV_COLUMNS.join(',')}\n`);
+    }
+
+    let count = 0;
+    const cursor = Track.find(filter).sort({ createdAt: 1 }).lean().cursor();
+
+    for await (const track of cursor) {
+        await write(`${format === 'csv' ? trackToCSV(track) : trackToJSON(track)}\n`);
+        count += 1;
+    }
+
+    return count;
+};
+
+module.exports = {
+    CSV_COLUMNS,
+    parseCSV,
+    parseNDJSON,
+    recordToTrack,
+    importTracks,
+    importCatalog,
+    exportCatalog
+};
@@ -0,0 +1,6 @@
+// Escape user or AI supplied text for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    escapeRegex
+};
@@ -0,0 +1,97 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const Track = require('../models/Track');
+
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash';
+
+const GENRES = Track.schema.path('genre').enumValues;
+const MOODS = Track.schema.path('mood').caster.enumValues;
+
+// Parse a JSON reply, removing markdown formatting if present
+const parseJsonResponse = (text) => {
+    try {
+        const cleanedText = text.replace(/```json\n?|```\n?/g, '').trim();
+        return JSON.parse(cleanedText);
+    } catch (parseError) {
+        console.error('Failed to parse Gemini response:', text);
+        throw new Error('Failed to parse Gemini response');
+    }
+};
+
+// Create an AI provider backed by Google Gemini
+const createGeminiProvider = ({ apiKey = process.env.GEMINI_API_KEY, model = process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL } = {}) => {
+    if (!apiKey) {
+        throw new Error('Gemini API key is not configured');
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({ model });
+
+    const generateJson = async (prompt) => {
+        const result = await generativeModel.generateContent(prompt);
+        const response = await result.response;
+        return parseJsonResponse(response.text());
+    };
+
+    return {
+        name: 'gemini',
+        model,
+
+        // Moods, genres and keywords, plus a title and description in the same call
+        extractIntent: (prompt) => generateJson(`
+You are a music expert AI. Based on the user's request: "${prompt}", please analyze and extract:
+
+1. MOOD/EMOTION keywords (choose from: ${MOODS.join(', ')})
+2. GENRE preferences (choose from: ${GENRES.join(', ')})
+3. Additional descriptive keywords or themes
+
+Respond in this EXACT JSON format:
+{
+  "moods": ["mood1", "mood2"],
+  "genres": ["genre1", "genre2"],
+  "keywords": ["keyword1", "keyword2", "keyword3"],
+  "playlistTitle": "Creative playlist name based on the prompt",
+  "description": "Brief description of the playlist vibe"
+}
+
+Be creative but stay within the provided mood and genre options. Extract 1-3 moods, 1-3 genres, and 3-5 keywords.
+`),
+
+        describePlaylist: (prompt, { moods = [], genres = [], keywords = [] }) => generateJson(`
+You are a music expert AI naming a playlist for the request: "${prompt}".
+Its moods are: ${moods.join(', ') || 'any'}. Its genres are: ${genres.join(', ') || 'any'}. Themes: ${keywords.join(', ') || 'none'}.
+
+Respond in this EXACT JSON format:
+{
+  "playlistTitle": "Creative playlist name, at most 100 characters",
+  "description": "One or two sentences describing the playlist vibe"
+}
+`),
+
+        refineIntent: (intent, instruction, history = []) => generateJson(`
+You are a music expert AI helping a user refine a playlist.
+The playlist was built from this analysis: ${JSON.stringify({ moods: intent.moods, genres: intent.genres, keywords: intent.keywords })}
+${history.length > 0 ? `Earlier instructions, oldest first: ${history.map(turn => `"${turn}"`).join(', ')}\n` : ''}The user now says: "${instruction}"
+
+Update the analysis to follow the new instruction. Respond in this EXACT JSON format:
+{
+  "moods": ["moods the playlist should have now"],
+  "genres": ["genres the playlist should have now"],
+  "keywords": ["keywords the playlist should have now"],
+  "excludeMoods": ["moods to remove"],
+  "excludeGenres": ["genres to remove"],
+  "excludeKeywords": ["words in track tags, titles or artists to remove"],
+  "requireKeywords": ["words every track must have in its tags or title, e.g. instrumental"],
+  "adjust": { "energy": "up", "valence": null, "danceability": null, "bpm": null },
+  "summary": "One sentence saying what you changed"
+}
+
+Moods must come from: ${MOODS.join(', ')}. Genres must come from: ${GENRES.join(', ')}.
+Each adjust value is "up", "down" or null.
+`)
+    };
+};
+
+module.exports = {
+    DEFAULT_GEMINI_MODEL,
+    createGeminiProvider
+};
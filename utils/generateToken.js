@@ -1,20 +1,22 @@
 const jwt = require('jsonwebtoken');
 
-// Generate JWT token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '30d',
+// Generate JWT token (sid ties it to a server-side session)
+const generateToken = (id, sessionId) => {
+    return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_EXPIRE || '15m',
         issuer: 'RawMusic',
         audience: 'RawMusic-Users'
     });
 };
 
 // Generate refresh token
-const generateRefreshToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
+// family groups every token produced by rotating the same login, jti identifies this one
+const generateRefreshToken = (id, family, jti) => {
+    return jwt.sign({ id, family }, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
         expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d',
         issuer: 'RawMusic',
-        audience: 'RawMusic-Users'
+        audience: 'RawMusic-Users',
+        jwtid: jti
     });
 };
 
@@ -41,6 +43,21 @@ const setTokenCookie = (res, token) => {
     res.cookie('token', token, options);
 };
 
+// Set refresh token cookie (only sent to the auth routes)
+const setRefreshTokenCookie = (res, refreshToken) => {
+    const options = {
+        expires: new Date(
+            Date.now() + (process.env.JWT_REFRESH_COOKIE_EXPIRE || 7) * 24 * 60 * 60 * 1000
+        ),
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        path: '/api/auth'
+    };
+
+    res.cookie('refreshToken', refreshToken, options);
+};
+
 // Clear token cookie
 const clearTokenCookie = (res) => {
     res.cookie('token', 'none', {
@@ -49,10 +66,20 @@ const clearTokenCookie = (res) => {
     });
 };
 
+// Clear refresh token cookie
+const clearRefreshTokenCookie = (res) => {
+    res.clearCookie('refreshToken', {
+        httpOnly: true,
+        path: '/api/auth'
+    });
+};
+
 module.exports = {
     generateToken,
     generateRefreshToken,
     verifyRefreshToken,
     setTokenCookie,
-    clearTokenCookie
+    setRefreshTokenCookie,
+    clearTokenCookie,
+    clearRefreshTokenCookie
 };
@@ -0,0 +1,185 @@
+// Rule-based AI provider: reads moods, genres and keywords straight from the prompt.
+// Deterministic and offline, so generation works without a Gemini key.
+
+// Words and phrases that point at each mood
+const MOOD_TERMS = {
+    happy: ['happy', 'joy', 'joyful', 'cheerful', 'sunny', 'fun', 'party', 'good vibes', 'feel good'],
+    sad: ['sad', 'heartbreak', 'heartbroken', 'breakup', 'crying', 'cry', 'lonely', 'tears'],
+    energetic: ['energetic', 'energy', 'workout', 'gym', 'running', 'run', 'hype', 'pump', 'upbeat', 'fast'],
+    calm: ['calm', 'chill', 'chilled', 'mellow', 'quiet', 'soft', 'slow'],
+    romantic: ['romantic', 'romance', 'love', 'date night', 'valentine', 'wedding'],
+    angry: ['angry', 'anger', 'rage', 'mad', 'aggressive', 'furious'],
+    nostalgic: ['nostalgic', 'nostalgia', 'throwback', 'retro', 'old school', 'memories', 'classic'],
+    peaceful: ['peaceful', 'serene', 'meditation', 'meditate', 'yoga', 'nature', 'zen'],
+    uplifting: ['uplifting', 'inspiring', 'inspirational', 'hopeful', 'positive', 'sunrise'],
+    melancholic: ['melancholic', 'melancholy', 'rainy', 'rain', 'gloomy', 'bittersweet', 'moody'],
+    relaxing: ['relaxing', 'relax', 'sleep', 'sleepy', 'spa', 'unwind', 'lazy', 'sunday', 'beach', 'sunset'],
+    motivational: ['motivational', 'motivation', 'focus', 'study', 'studying', 'productive', 'grind', 'coding']
+};
+
+// Words and phrases that point at each genre
+const GENRE_TERMS = {
+    pop: ['pop', 'top 40', 'chart', 'charts'],
+    rock: ['rock', 'guitar', 'grunge', 'punk'],
+    jazz: ['jazz', 'swing', 'bebop', 'saxophone', 'sax'],
+    classical: ['classical', 'orchestra', 'orchestral', 'symphony', 'piano', 'baroque'],
+    electronic: ['electronic', 'edm', 'techno', 'house', 'dance', 'synth', 'trance', 'club'],
+    'hip-hop': ['hip-hop', 'hip hop', 'hiphop', 'rap', 'trap'],
+    country: ['country', 'western', 'honky tonk'],
+    folk: ['folk', 'acoustic', 'singer songwriter'],
+    blues: ['blues', 'bluesy'],
+    reggae: ['reggae', 'dub', 'ska', 'dancehall'],
+    metal: ['metal', 'heavy metal', 'metalcore'],
+    indie: ['indie', 'alternative', 'alt'],
+    ambient: ['ambient', 'lofi', 'lo-fi', 'lo fi', 'drone', 'soundscape'],
+    world: ['world', 'latin', 'afrobeat', 'afrobeats', 'bossa nova', 'flamenco', 'samba']
+};
+
+// Filler words that never make useful keywords
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'the', 'for', 'with', 'some', 'songs', 'song', 'music', 'tracks', 'track', 'playlist',
+    'mix', 'me', 'my', 'i', 'im', 'want', 'need', 'like', 'something', 'that', 'this', 'to', 'of', 'in', 'on',
+    'at', 'while', 'when', 'from', 'into', 'about', 'make', 'give', 'play', 'please', 'vibes', 'vibe', 'feel',
+    'feeling', 'really', 'very', 'just', 'is', 'are', 'be', 'it', 'or', 'but', 'by', 'during', 'time', 'mood',
+    'more', 'less', 'add', 'bit', 'little', 'lot', 'much', 'keep', 'instead', 'too', 'also', 'even', 'now'
+]);
+
+const MAX_KEYWORDS = 5;
+
+// Refinement phrases that nudge track audio features up or down
+const ADJUSTMENT_PHRASES = [
+    [/\b(upbeat|livelier|more lively|more energ\w*|harder|louder|pump it up)\b/, { energy: 'up' }],
+    [/\b(calmer|mellower|softer|chiller|more chill|more relaxed|quieter|less energ\w*|tone it down)\b/, { energy: 'down' }],
+    [/\b(faster|quicker|higher tempo)\b/, { bpm: 'up' }],
+    [/\b(slower|lower tempo)\b/, { bpm: 'down' }],
+    [/\b(happier|brighter|more positive|more cheerful)\b/, { valence: 'up' }],
+    [/\b(sadder|darker|moodier|gloomier)\b/, { valence: 'down' }],
+    [/\b(danceable|dancier|groovier|more danceable)\b/, { danceability: 'up' }],
+    [/\bless danceable\b/, { danceability: 'down' }]
+];
+
+// "no vocals" and friends mean instrumental tracks only
+const INSTRUMENTAL_PATTERN = /\b(no|without|fewer|less)\s+(vocals?|singing|lyrics|words)\b|\binstrumentals?\b/;
+
+// "no rock", "without piano", "less sad": the words after a negation are removed from the playlist
+const NEGATION_PATTERN = /\b(no|without|less|fewer|remove|drop|skip|not|minus)\s+((?:[a-z0-9-]+\s?){1,2})/g;
+
+// Every single word used by a mood or genre term
+const TERM_WORDS = new Set([...Object.values(MOOD_TERMS), ...Object.values(GENRE_TERMS)]
+    .flat()
+    .flatMap(term => [term, ...term.split(/[\s-]/)]));
+
+// Lowercase and keep only letters, digits, hyphens and single spaces
+const normalizePrompt = (prompt) => ` ${prompt.toLowerCase().replace(/[^a-z0-9-]+/g, ' ').trim()} `;
+
+// Every category whose terms appear in the prompt, in order of first appearance
+const findMatches = (text, terms, limit = 3) => {
+    return Object.entries(terms)
+        .map(([category, words]) => {
+            const positions = words
+                .map(word => text.indexOf(` ${word} `))
+                .filter(position => position > -1);
+            return [category, positions.length > 0 ? Math.min(...positions) : -1];
+        })
+        .filter(([, position]) => position > -1)
+        .sort((a, b) => a[1] - b[1])
+        .map(([category]) => category)
+        .slice(0, limit);
+};
+
+// Meaningful words that don't already name a mood or genre
+const findKeywords = (text) => [...new Set(text.trim().split(' '))]
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !TERM_WORDS.has(word));
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const listToText = (items) => {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+};
+
+const localProvider = {
+    name: 'local',
+
+    extractIntent: async (prompt) => {
+        const text = normalizePrompt(prompt);
+        const moods = findMatches(text, MOOD_TERMS);
+        const genres = findMatches(text, GENRE_TERMS);
+
+        const keywords = findKeywords(text).slice(0, MAX_KEYWORDS);
+
+        return { moods, genres, keywords };
+    },
+
+    describePlaylist: async (prompt, { moods = [], genres = [], keywords = [] }) => {
+        const titleWords = [...keywords.slice(0, 2), moods[0], genres[0]].filter(Boolean);
+        const playlistTitle = titleWords.length > 0
+            ? `${titleWords.map(word => word.split('-').map(capitalize).join('-')).join(' ')} Mix`
+            : `AI Playlist - ${new Date().toLocaleDateString()}`;
+
+        const vibe = [listToText(moods), listToText(genres)].filter(Boolean).join(' ');
+        const description = vibe
+            ? `${/^[aeiou]/.test(vibe) ? 'An' : 'A'} ${vibe} playlist inspired by "${prompt}".`
+            : `Generated from prompt: "${prompt}"`;
+
+        return { playlistTitle: playlistTitle.substring(0, 100), description };
+    },
+
+    refineIntent: async (intent, instruction) => {
+        let text = normalizePrompt(instruction);
+        const refinement = {
+            excludeMoods: [],
+            excludeGenres: [],
+            excludeKeywords: [],
+            requireKeywords: [],
+            adjust: {}
+        };
+
+        ADJUSTMENT_PHRASES.forEach(([pattern, adjustment]) => {
+            if (pattern.test(text)) {
+                Object.assign(refinement.adjust, adjustment);
+                text = text.replace(pattern, ' ');
+            }
+        });
+
+        if (INSTRUMENTAL_PATTERN.test(text)) {
+            refinement.requireKeywords.push('instrumental');
+            text = text.replace(INSTRUMENTAL_PATTERN, ' ');
+        }
+
+        // Negated words are removed from the playlist, and from the text before looking for additions
+        text = text.replace(NEGATION_PATTERN, (match, negation, words) => {
+            const negated = ` ${words.trim()} `;
+            refinement.excludeMoods.push(...findMatches(negated, MOOD_TERMS, Infinity));
+            refinement.excludeGenres.push(...findMatches(negated, GENRE_TERMS, Infinity));
+            refinement.excludeKeywords.push(...findKeywords(negated).slice(0, 1));
+            return ' ';
+        });
+        text = ` ${text.replace(/\s+/g, ' ').trim()} `;
+
+        const keep = (values, excluded) => values.filter(value => !excluded.includes(value));
+        const moods = [...new Set([...keep(intent.moods, refinement.excludeMoods), ...findMatches(text, MOOD_TERMS)])];
+        const genres = [...new Set([...keep(intent.genres, refinement.excludeGenres), ...findMatches(text, GENRE_TERMS)])];
+        const keywords = [...new Set([...keep(intent.keywords, refinement.excludeKeywords), ...findKeywords(text)])]
+            .slice(0, MAX_KEYWORDS * 2);
+
+        const changes = [
+            ...Object.entries(refinement.adjust).map(([feature, direction]) => `${direction === 'up' ? 'raised' : 'lowered'} ${feature}`),
+            refinement.requireKeywords.length > 0 && 'kept instrumental tracks only',
+            ...[...refinement.excludeMoods, ...refinement.excludeGenres, ...refinement.excludeKeywords].map(value => `removed ${value}`),
+            ...[...moods, ...genres].filter(value => !intent.moods.includes(value) && !intent.genres.includes(value)).map(value => `added ${value}`)
+        ].filter(Boolean);
+
+        return {
+            ...refinement,
+            moods,
+            genres,
+            keywords,
+            summary: changes.length > 0
+                ? `${capitalize(listToText(changes))}.`
+                : 'Reshuffled the playlist around the same vibe.'
+        };
+    }
+};
+
+module.exports = localProvider;
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transport that just logs messages (default when no SMTP host is configured)
+const consoleTransport = {
+    sendMail: async (message) => {
+        console.log(`📧 Email to ${message.to}: ${message.subject}`);
+        console.log(message.text);
+        return { messageId: `console-${Date.now()}` };
+    }
+};
+
+// Transport that writes each message to a JSON file (handy in tests)
+const createFileTransport = (directory) => ({
+    sendMail: async (message) => {
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const messageId = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+        const filePath = path.join(directory, `${messageId}.json`);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+        return { messageId, filePath };
+    }
+});
+
+// Pick a transport from EMAIL_TRANSPORT (smtp, console or file)
+const createTransport = () => {
+    const type = process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'console');
+
+    switch (type) {
+        case 'smtp':
+            return nodemailer.createTransport({
+                host: process.env.EMAIL_HOST,
+                port: parseInt(process.env.EMAIL_PORT) || 587,
+                secure: parseInt(process.env.EMAIL_PORT) === 465,
+                auth: {
+                    user: process.env.EMAIL_USER,
+                    pass: process.env.EMAIL_PASS
+                }
+            });
+        case 'file':
+            return createFileTransport(process.env.EMAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'emails'));
+        case 'console':
+            return consoleTransport;
+        default:
+            throw new Error(`Unknown email transport: ${type}`);
+    }
+};
+
+let transport = null;
+
+// Swap the transport (anything with a sendMail(message) method); pass null to reset
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+    if (!transport) {
+        transport = createTransport();
+    }
+
+    return transport.sendMail({
+        from: process.env.EMAIL_FROM || 'noreply@rawmusic.com',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+// Send a password reset link
+const sendPasswordResetEmail = (user, resetUrl) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your Raw Music password',
+        text: `Hi ${user.username},\n\nSomeone asked to reset the password for your Raw Music account. ` +
+            `Use the link below within 30 minutes to choose a new one:\n\n${resetUrl}\n\n` +
+            'If you did not ask for this, you can ignore this email.',
+        html: `<p>Hi ${user.username},</p>` +
+            '<p>Someone asked to reset the password for your Raw Music account. ' +
+            'Use the link below within 30 minutes to choose a new one:</p>' +
+            `<p><a href="${resetUrl}">${resetUrl}</a></p>` +
+            '<p>If you did not ask for this, you can ignore this email.</p>'
+    });
+};
+
+// Send an email verification link
+const sendVerificationEmail = (user, verifyUrl) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your Raw Music email',
+        text: `Hi ${user.username},\n\nWelcome to Raw Music! Confirm your email address within 24 hours ` +
+            `using the link below:\n\n${verifyUrl}\n\n` +
+            'If you did not create an account, you can ignore this email.',
+        html: `<p>Hi ${user.username},</p>` +
+            '<p>Welcome to Raw Music! Confirm your email address within 24 hours using the link below:</p>' +
+            `<p><a href="${verifyUrl}">${verifyUrl}</a></p>` +
+            '<p>If you did not create an account, you can ignore this email.</p>'
+    });
+};
+
+module.exports = {
+    sendMail,
+    setTransport,
+    createTransport,
+    sendPasswordResetEmail,
+    sendVerificationEmail
+};
@@ -0,0 +1,308 @@
+const { getYouTubeUrl } = require('./youtubeHelper');
+
+// Supported playlist file formats and the content type each is served as
+const PLAYLIST_FORMATS = {
+    m3u8: 'audio/x-mpegurl; charset=utf-8',
+    xspf: 'application/xspf+xml; charset=utf-8',
+    jspf: 'application/json; charset=utf-8'
+};
+
+// Flatten a populated playlist entry into the fields every format needs
+const toExportTrack = (track) => ({
+    title: track.title,
+    artist: track.artist,
+    album: track.album || '',
+    duration: track.duration || 0,
+    location: track.youtubeUrl || getYouTubeUrl(track.youtubeId),
+    image: track.thumbnail?.large || track.thumbnail?.medium || track.thumbnail?.default || ''
+});
+
+const exportTracks = (playlist) => {
+    return playlist.tracks
+        .filter(item => item.track && item.track.title)
+        .map(item => toExportTrack(item.track));
+};
+
+// M3U directives are line-based, so values must not contain newlines
+const m3uText = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+const toM3U8 = (playlist) => {
+    const lines = ['#EXTM3U', `#PLAYLIST:${m3uText(playlist.name)}`];
+
+    exportTracks(playlist).forEach(track => {
+        lines.push(`#EXTINF:${track.duration},${m3uText(track.artist)} - ${m3uText(track.title)}`);
+        if (track.album) lines.push(`#EXTALB:${m3uText(track.album)}`);
+        if (track.image) lines.push(`#EXTIMG:${track.image}`);
+        lines.push(track.location);
+    });
+
+    return `${lines.join('\n')}\n`;
+};
+
+const escapeXML = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const xmlElement = (indent, name, value) => {
+    return value === undefined || value === '' ? null : `${indent}<${name}>${escapeXML(value)}</${name}>`;
+};
+
+const toXSPF = (playlist) => {
+    const owner = playlist.owner?.username;
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        xmlElement('  ', 'title', playlist.name),
+        xmlElement('  ', 'creator', owner),
+        xmlElement('  ', 'annotation', playlist.description),
+        xmlElement('  ', 'date', playlist.updatedAt?.toISOString()),
+        '  <trackList>'
+    ];
+
+    exportTracks(playlist).forEach(track => {
+        lines.push(
+            '    <track>',
+            xmlElement('      ', 'location', track.location),
+            xmlElement('      ', 'identifier', track.location),
+            xmlElement('      ', 'title', track.title),
+            xmlElement('      ', 'creator', track.artist),
+            xmlElement('      ', 'album', track.album),
+            xmlElement('      ', 'duration', track.duration * 1000),
+            xmlElement('      ', 'image', track.image),
+            '    </track>'
+        );
+    });
+
+    lines.push('  </trackList>', '</playlist>');
+    return `${lines.filter(line => line !== null).join('\n')}\n`;
+};
+
+const toJSPF = (playlist) => {
+    const jspf = {
+        playlist: {
+            title: playlist.name,
+            creator: playlist.owner?.username,
+            annotation: playlist.description || undefined,
+            date: playlist.updatedAt?.toISOString(),
+            track: exportTracks(playlist).map(track => ({
+                location: [track.location],
+                identifier: [track.location],
+                title: track.title,
+                creator: track.artist,
+                album: track.album || undefined,
+                duration: track.duration * 1000,
+                image: track.image || undefined
+            }))
+        }
+    };
+
+    return `${JSON.stringify(jspf, null, 2)}\n`;
+};
+
+const SERIALIZERS = {
+    m3u8: toM3U8,
+    xspf: toXSPF,
+    jspf: toJSPF
+};
+
+// Serialise a playlist (with tracks.track and owner populated) to the given format
+const serializePlaylist = (playlist, format) => {
+    const serialize = SERIALIZERS[format];
+    if (!serialize) {
+        throw new Error(`Unsupported playlist format "${format}"`);
+    }
+    return serialize(playlist);
+};
+
+// Split "Artist - Title" (also en/em dashes); without a separator it's just a title
+const splitArtistTitle = (text) => {
+    const match = /^(.+?)\s+[-–—]\s+(.+)$/.exec(text.trim());
+    return match
+        ? { artist: match[1].trim(), title: match[2].trim() }
+        : { artist: undefined, title: text.trim() };
+};
+
+// Line number (1-based) of a character offset
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+const unescapeXML = (value) => value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+
+const xmlValue = (xml, name) => {
+    const match = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(xml);
+    return match ? unescapeXML(match[1]) : undefined;
+};
+
+const safeDecodeURI = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+// Each parser returns { name, entries: [{ line, title, artist, album, location }] }
+
+const parseM3U = (text) => {
+    const entries = [];
+    let name;
+    let info = null;
+
+    text.split(/\r?\n/).forEach((content, index) => {
+        const value = content.trim();
+        if (!value) return;
+
+        if (value.startsWith('#PLAYLIST:')) {
+            name = value.slice('#PLAYLIST:'.length).trim();
+        } else if (value.startsWith('#EXTINF:')) {
+            // #EXTINF:<duration> [attributes],<Artist - Title>
+            const commaIndex = value.indexOf(',');
+            info = { line: index + 1, ...splitArtistTitle(commaIndex > -1 ? value.slice(commaIndex + 1) : '') };
+        } else if (value.startsWith('#EXTALB:') && info) {
+            info.album = value.slice('#EXTALB:'.length).trim();
+        } else if (!value.startsWith('#')) {
+            // Without #EXTINF, fall back to the file name ("Artist - Title.mp3")
+            const fallback = splitArtistTitle(safeDecodeURI(value.split(/[\\/]/).pop()).replace(/\.\w{2,4}$/, ''));
+            entries.push({
+                line: index + 1,
+                ...(info && info.title ? info : fallback),
+                location: value
+            });
+            info = null;
+        }
+    });
+
+    return { name, entries };
+};
+
+const parseXSPF = (text) => {
+    const trackList = /<trackList>([\s\S]*?)<\/trackList>/.exec(text);
+    const header = trackList ? text.slice(0, trackList.index) : text;
+    const entries = [];
+    const trackPattern = /<track>([\s\S]*?)<\/track>/g;
+    let match;
+
+    while ((match = trackPattern.exec(text)) !== null) {
+        const xml = match[1];
+        entries.push({
+            line: lineAt(text, match.index),
+            title: xmlValue(xml, 'title'),
+            artist: xmlValue(xml, 'creator'),
+            album: xmlValue(xml, 'album'),
+            location: xmlValue(xml, 'location') || xmlValue(xml, 'identifier')
+        });
+    }
+
+    return { name: xmlValue(header, 'title'), entries };
+};
+
+const parseJSPF = (text) => {
+    let data;
+    try {
+        data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (error) {
+        throw new Error(`Invalid JSPF: ${error.message}`);
+    }
+
+    const playlist = data && data.playlist;
+    if (!playlist || !Array.isArray(playlist.track)) {
+        throw new Error('Invalid JSPF: expected a playlist with a track array');
+    }
+
+    // Any JSON can arrive here: keep only string fields and skip entries that aren't objects
+    const asString = (value) => (typeof value === 'string' ? value : undefined);
+    const first = (value) => asString(Array.isArray(value) ? value[0] : value);
+    const entries = [];
+    playlist.track.forEach((track, index) => {
+        if (!track || typeof track !== 'object' || Array.isArray(track)) return;
+
+        entries.push({
+            line: index + 1,
+            title: asString(track.title),
+            artist: asString(track.creator),
+            album: asString(track.album),
+            location: first(track.location) || first(track.identifier)
+        });
+    });
+
+    return { name: asString(playlist.title), entries };
+};
+
+// One "Artist - Title" (or a YouTube URL) per line; # lines are comments
+const parseText = (text) => {
+    const entries = [];
+
+    text.split(/\r?\n/).forEach((content, index) => {
+        const value = content.trim();
+        if (!value || value.startsWith('#')) return;
+
+        entries.push(/youtu\.?be/.test(value)
+            ? { line: index + 1, location: value }
+            : { line: index + 1, ...splitArtistTitle(value) });
+    });
+
+    return { entries };
+};
+
+const PARSERS = {
+    m3u: parseM3U,
+    xspf: parseXSPF,
+    jspf: parseJSPF,
+    text: parseText
+};
+
+// Formats accepted for import (m3u8 is read the same way as m3u)
+const IMPORT_FORMATS = ['m3u', 'm3u8', 'xspf', 'jspf', 'text'];
+
+// Guess the format of an uploaded playlist from its first characters
+const detectFormat = (text) => {
+    const start = text.trimStart();
+    if (start.startsWith('#EXTM3U')) return 'm3u';
+    if (start.startsWith('<')) return 'xspf';
+    if (start.startsWith('{')) return 'jspf';
+    return 'text';
+};
+
+// Longest title, artist or album kept from an entry; real ones are far shorter
+const MAX_FIELD_LENGTH = 200;
+const MAX_LOCATION_LENGTH = 500;
+
+const truncate = (value, length) => (typeof value === 'string' ? value.substring(0, length) : value);
+
+// Parse playlist file contents; format is detected when not given
+const parsePlaylist = (text, format) => {
+    const resolved = format === 'm3u8' ? 'm3u' : (format || detectFormat(text));
+    const parser = PARSERS[resolved];
+    if (!parser) {
+        throw new Error(`Unsupported playlist format "${format}"`);
+    }
+
+    const { name, entries } = parser(text);
+    return {
+        format: resolved,
+        name: truncate(name, MAX_FIELD_LENGTH),
+        entries: entries.map(entry => ({
+            ...entry,
+            title: truncate(entry.title, MAX_FIELD_LENGTH),
+            artist: truncate(entry.artist, MAX_FIELD_LENGTH),
+            album: truncate(entry.album, MAX_FIELD_LENGTH),
+            location: truncate(entry.location, MAX_LOCATION_LENGTH)
+        }))
+    };
+};
+
+module.exports = {
+    PLAYLIST_FORMATS,
+    IMPORT_FORMATS,
+    serializePlaylist,
+    parsePlaylist
+};
@@ -0,0 +1,318 @@
+const Track = require('../models/Track');
+const Playlist = require('../models/Playlist');
+const PlaylistRevision = require('../models/PlaylistRevision');
+const User = require('../models/User');
+const { analyzePrompt } = require('./aiProvider');
+const { findSimilarTracks } = require('./trackSimilarity');
+const { escapeRegex } = require('./escapeRegex');
+
+// Refinement fills playlists up to at least this many tracks (and never shrinks them)
+const MIN_REFINED_TRACKS = 10;
+
+// Build the Track query for an intent (any matching mood, genre or keyword)
+const buildIntentCriteria = ({ moods = [], genres = [], keywords = [] }) => {
+    const searchCriteria = {
+        isActive: true,
+        $or: []
+    };
+
+    // Add mood criteria
+    if (moods.length > 0) {
+        searchCriteria.$or.push({ mood: { $in: moods } });
+    }
+
+    // Add genre criteria
+    if (genres.length > 0) {
+        searchCriteria.$or.push({ genre: { $in: genres } });
+    }
+
+    // Add keyword search in tags, title, or artist
+    if (keywords.length > 0) {
+        const keywordRegex = keywords.map(keyword => new RegExp(escapeRegex(keyword), 'i'));
+        searchCriteria.$or.push(
+            { tags: { $in: keywordRegex } },
+            { title: { $in: keywordRegex } },
+            { artist: { $in: keywordRegex } }
+        );
+    }
+
+    // If no criteria matched, fall back to popularity
+    if (searchCriteria.$or.length === 0) {
+        delete searchCriteria.$or;
+    }
+
+    return searchCriteria;
+};
+
+// Find catalog tracks for an extracted intent, topped up with popular tracks
+const findTracksForIntent = async (intent) => {
+    const searchCriteria = buildIntentCriteria(intent);
+
+    // Find matching tracks
+    let tracks = await Track.find(searchCriteria)
+        .sort({ popularity: -1, playCount: -1 })
+        .limit(50)
+        .select('-__v');
+
+    // If not enough tracks found, get popular tracks as fallback
+    if (tracks.length < 10) {
+        const fallbackTracks = await Track.find({ isActive: true, _id: { $nin: tracks.map(track => track._id) } })
+            .sort({ popularity: -1 })
+            .limit(20 - tracks.length)
+            .select('-__v');
+
+        tracks = [...tracks, ...fallbackTracks];
+    }
+
+    // Shuffle and limit to 15-20 tracks
+    return tracks.sort(() => Math.random() - 0.5).slice(0, 20);
+};
+
+// Save generated tracks as a private AI playlist in the user's library
+const saveGeneratedPlaylist = async (userId, tracks, { name, description, prompt }) => {
+    const playlist = await Playlist.create({
+        name,
+        description,
+        owner: userId,
+        tracks: tracks.map(track => ({
+            track: track._id,
+            addedBy: userId
+        })),
+        isAIGenerated: true,
+        aiPrompt: prompt,
+        aiGeneratedAt: new Date(),
+        isPublic: false
+    });
+    await PlaylistRevision.record(playlist, 'create', userId);
+
+    // Add playlist to user's playlists
+    const user = await User.findById(userId);
+    user.playlists.push(playlist._id);
+    await user.save();
+
+    // Populate playlist for response
+    await playlist.populate('tracks.track', 'title artist duration thumbnail genre mood');
+    return playlist;
+};
+
+// Run a playlist_generation AIRequest that is already processing.
+// Resolves to { analysis, tracks, playlist } and marks the request completed; callers mark failures.
+// onStage(stage, data) is called as each stage finishes: intent, tracks, then playlist.
+const generateFromRequest = async (aiRequest, { playlistName, savePlaylist = true, onStage = () => {} } = {}) => {
+    const { prompt } = aiRequest;
+
+    // Extract moods, genres and keywords and name the playlist
+    const analysis = await analyzePrompt(prompt);
+    const { moods, genres, keywords } = analysis;
+
+    // Update AI request with extracted data
+    aiRequest.extractedMoods = moods;
+    aiRequest.extractedGenres = genres;
+    aiRequest.extractedKeywords = keywords;
+    aiRequest.provider = analysis.provider;
+    aiRequest.geminiResponse = analysis.raw;
+    await aiRequest.save();
+    onStage('intent', analysis);
+
+    const tracks = await findTracksForIntent(analysis);
+    aiRequest.generatedTracks = tracks.map(track => track._id);
+    onStage('tracks', tracks);
+
+    // Create playlist if requested
+    let playlist = null;
+    if (savePlaylist && tracks.length > 0) {
+        playlist = await saveGeneratedPlaylist(aiRequest.user, tracks, {
+            name: playlistName || analysis.playlistTitle || `AI Playlist - ${new Date().toLocaleDateString()}`,
+            description: analysis.description || `Generated from prompt: "${prompt}"`,
+            prompt
+        });
+        aiRequest.generatedPlaylist = playlist._id;
+        onStage('playlist', playlist);
+    }
+
+    await aiRequest.updateStatus('completed');
+
+    return { analysis, tracks, playlist };
+};
+
+// Run a track_recommendation AIRequest that is already processing: recommend tracks close to the
+// seed tracks, blended with the intent of an optional text prompt. Resolves like generateFromRequest.
+const generateFromSeedTracks = async (aiRequest, seedTracks, { prompt, seedLabel, playlistName, savePlaylist = true } = {}) => {
+    const analysis = prompt ? await analyzePrompt(prompt) : null;
+    const { profile, tracks } = await findSimilarTracks(seedTracks, { intent: analysis });
+
+    // The seeds' own genres and moods stand in for an extracted intent
+    const topValues = (list) => list.slice(0, 3).map(entry => entry.value);
+    aiRequest.extractedMoods = [...new Set([...topValues(profile.moods), ...(analysis ? analysis.moods : [])])];
+    aiRequest.extractedGenres = [...new Set([...topValues(profile.genres), ...(analysis ? analysis.genres : [])])];
+    aiRequest.extractedKeywords = analysis ? analysis.keywords : topValues(profile.tags);
+    if (analysis) {
+        aiRequest.provider = analysis.provider;
+        aiRequest.geminiResponse = analysis.raw;
+    }
+    aiRequest.generatedTracks = tracks.map(track => track._id);
+
+    // Create playlist if requested
+    let playlist = null;
+    if (savePlaylist && tracks.length > 0) {
+        playlist = await saveGeneratedPlaylist(aiRequest.user, tracks, {
+            name: playlistName || (analysis && analysis.playlistTitle) || `Inspired by ${seedLabel}`.substring(0, 100),
+            description: (analysis && analysis.description) || `Tracks that sound like ${seedLabel}.`,
+            prompt: aiRequest.prompt
+        });
+        aiRequest.generatedPlaylist = playlist._id;
+    }
+
+    await aiRequest.updateStatus('completed');
+
+    return { analysis, profile, tracks, playlist };
+};
+
+// Average of each audio feature over the tracks that have it
+const averageFeatures = (tracks, features) => {
+    const averages = {};
+    features.forEach(feature => {
+        const values = tracks
+            .map(track => track.metadata && track.metadata[feature])
+            .filter(value => typeof value === 'number');
+        if (values.length > 0) {
+            averages[feature] = values.reduce((sum, value) => sum + value, 0) / values.length;
+        }
+    });
+    return averages;
+};
+
+// Does a track respect a refinement's exclusions and required keywords?
+const meetsConstraints = (track, refinement) => {
+    if (refinement.excludeGenres.includes(track.genre)) return false;
+    if ((track.mood || []).some(mood => refinement.excludeMoods.includes(mood))) return false;
+
+    const text = [track.title, track.artist, ...(track.tags || [])].join(' ').toLowerCase();
+    if (refinement.excludeKeywords.some(keyword => text.includes(keyword))) return false;
+    return refinement.requireKeywords.every(keyword => text.includes(keyword));
+};
+
+// Does a track fit a refinement? Audio features are compared with the playlist's current averages;
+// in strict mode (new tracks) a track must actually have the features being adjusted.
+const fitsRefinement = (track, refinement, baselines, { strict = false } = {}) => {
+    if (!meetsConstraints(track, refinement)) return false;
+
+    return Object.entries(refinement.adjust).every(([feature, direction]) => {
+        const value = track.metadata && track.metadata[feature];
+        if (typeof value !== 'number' || baselines[feature] === undefined) return !strict;
+        return direction === 'up' ? value >= baselines[feature] : value <= baselines[feature];
+    });
+};
+
+// How well a track matches an intent; terms the refinement introduced count double
+const scoreTrack = (track, intent, newTerms = []) => {
+    const text = [track.title, track.artist, ...(track.tags || [])].join(' ').toLowerCase();
+    const terms = [
+        track.genre,
+        ...(track.mood || []),
+        ...intent.keywords.filter(keyword => text.includes(keyword))
+    ];
+
+    return terms.reduce((score, term) => {
+        if (newTerms.includes(term)) return score + 2;
+        if ([...intent.genres, ...intent.moods, ...intent.keywords].includes(term)) return score + 1;
+        return score;
+    }, 0);
+};
+
+// Describe what a refinement asks for, e.g. 'tagged "instrumental", higher energy'
+const describeRefinement = (refinement) => {
+    const parts = [
+        ...refinement.requireKeywords.map(keyword => `tagged "${keyword}"`),
+        ...[...refinement.excludeGenres, ...refinement.excludeMoods, ...refinement.excludeKeywords]
+            .map(term => `without "${term}"`),
+        ...Object.entries(refinement.adjust).map(([feature, direction]) => `${direction === 'up' ? 'higher' : 'lower'} ${feature}`)
+    ];
+    return parts.length > 0 ? parts.join(', ') : 'the refined moods and genres';
+};
+
+// Apply a refinement to a playlist's tracks in place and save it: tracks that no longer fit are
+// removed, close matches for the refined intent are added, and anything the refinement newly asks
+// for gets a share of the playlist. When too few tracks fit, the gap is filled with tracks that only
+// miss an audio feature nudge. Resolves to { added, removed } track documents, or, when the playlist
+// would still shrink, to { unmet } describing the refinement and leaves the playlist unsaved.
+const refinePlaylistTracks = async (playlist, previousIntent, refinement, userId) => {
+    await playlist.populate('tracks.track', 'title artist genre mood tags metadata isActive');
+
+    const current = playlist.tracks.filter(item => item.track);
+    const currentIds = current.map(item => item.track._id);
+    const baselines = averageFeatures(current.map(item => item.track), Object.keys(refinement.adjust));
+
+    let kept = current.filter(item => item.track.isActive && fitsRefinement(item.track, refinement, baselines));
+    let removed = current.filter(item => !kept.includes(item)).map(item => item.track);
+
+    const newTerms = [
+        ...refinement.genres.filter(genre => !previousIntent.genres.includes(genre)),
+        ...refinement.moods.filter(mood => !previousIntent.moods.includes(mood)),
+        ...refinement.keywords.filter(keyword => !previousIntent.keywords.includes(keyword))
+    ];
+    const target = Math.max(current.length, MIN_REFINED_TRACKS);
+    const slots = Math.max(target - kept.length, newTerms.length > 0 ? Math.ceil(target / 4) : 0);
+
+    let added = [];
+    if (slots > 0) {
+        const candidates = await Track.find({ ...buildIntentCriteria(refinement), _id: { $nin: currentIds } })
+            .sort({ popularity: -1, playCount: -1 })
+            .limit(100)
+            .select('-__v');
+
+        added = candidates
+            .filter(track => fitsRefinement(track, refinement, baselines, { strict: true }))
+            .map(track => ({ track, score: scoreTrack(track, refinement, newTerms) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, slots)
+            .map(({ track }) => track);
+
+        // Not enough: relax the feature nudges for new candidates and removed tracks, best match first
+        const shortfall = target - kept.length - added.length;
+        if (shortfall > 0) {
+            const relaxed = [
+                ...candidates.filter(track => !added.includes(track)),
+                ...removed.filter(track => track.isActive)
+            ]
+                .filter(track => meetsConstraints(track, refinement))
+                .sort((a, b) => scoreTrack(b, refinement, newTerms) - scoreTrack(a, refinement, newTerms))
+                .slice(0, shortfall);
+
+            const restored = relaxed.filter(track => removed.includes(track));
+            kept = current.filter(item => kept.includes(item) || restored.includes(item.track));
+            removed = removed.filter(track => !restored.includes(track));
+            added = [...added, ...relaxed.filter(track => !restored.includes(track))];
+        }
+    }
+
+    if (kept.length + added.length < Math.min(target, current.length)) {
+        return { unmet: describeRefinement(refinement) };
+    }
+
+    // Make room for new tracks by dropping the kept tracks that fit the refined intent least
+    const overflow = kept.length + added.length - target;
+    if (overflow > 0) {
+        const weakest = [...kept]
+            .sort((a, b) => scoreTrack(a.track, refinement) - scoreTrack(b.track, refinement))
+            .slice(0, overflow);
+        kept = kept.filter(item => !weakest.includes(item));
+        removed.push(...weakest.map(item => item.track));
+    }
+
+    playlist.tracks = [
+        ...kept.map(item => ({ track: item.track._id, addedBy: item.addedBy, addedAt: item.addedAt })),
+        ...added.map(track => ({ track: track._id, addedBy: userId }))
+    ];
+    await playlist.save();
+
+    return { added, removed };
+};
+
+module.exports = {
+    findTracksForIntent,
+    refinePlaylistTracks,
+    generateFromSeedTracks,
+    saveGeneratedPlaylist,
+    generateFromRequest
+};
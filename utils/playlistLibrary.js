@@ -0,0 +1,109 @@
+// Which playlists make up a user's library
+const LIBRARY_SOURCES = ['library', 'owned', 'shared', 'followed', 'liked', 'all'];
+
+// Playlist kinds the library can be filtered to
+const LIBRARY_TYPES = ['ai', 'manual', 'smart'];
+
+const LIBRARY_SORTS = ['recent', 'updated', 'name', 'custom'];
+
+// Build the Playlist query for a user's library.
+// source: library (owned + shared, the default), owned, shared, followed, liked or all (everything)
+const buildLibraryQuery = (userId, { source = 'library', type, likedPlaylists = [] } = {}) => {
+    const owned = { owner: userId };
+    const shared = { collaborators: { $elemMatch: { user: userId, status: 'accepted' } } };
+
+    // Following or liking doesn't grant access: those playlists drop out once the user can no longer
+    // see them (made private, or liked through a share link). Share-link access can't be checked here.
+    const visible = { $or: [{ isPublic: true }, { isUnlisted: true }, owned, shared] };
+    const followed = { $and: [{ followers: userId }, visible] };
+    const liked = { $and: [{ _id: { $in: likedPlaylists } }, visible] };
+
+    const sources = {
+        library: [owned, shared],
+        owned: [owned],
+        shared: [shared],
+        followed: [followed],
+        liked: [liked],
+        all: [owned, shared, followed, liked]
+    };
+
+    const query = { $or: sources[source] || sources.library, isActive: true };
+
+    if (type === 'ai') query.isAIGenerated = true;
+    if (type === 'manual') Object.assign(query, { isAIGenerated: false, isSmart: { $ne: true } });
+    if (type === 'smart') query.isSmart = true;
+
+    return query;
+};
+
+// Mongo sort for the sorts that don't need the user's custom order
+const LIBRARY_SORT_QUERIES = {
+    recent: { createdAt: -1 },
+    updated: { updatedAt: -1 },
+    name: { name: 1 },
+    custom: { createdAt: -1 }
+};
+
+// Sort playlists by the user's custom order; playlists not in it go last, newest first
+const applyCustomOrder = (playlists, order = []) => {
+    const positions = new Map(order.map((id, index) => [id.toString(), index]));
+    const positionOf = (playlist) => positions.get(playlist._id.toString()) ?? Infinity;
+
+    return [...playlists].sort((a, b) => {
+        const difference = positionOf(a) - positionOf(b);
+        if (difference !== 0 && !Number.isNaN(difference)) return difference;
+        return b.createdAt - a.createdAt;
+    });
+};
+
+// Group sorted playlists into { pinned, folders (nested tree), unfiled }
+const buildLibraryTree = (playlists, folders, { pinned = [] } = {}) => {
+    const byId = new Map(playlists.map(playlist => [playlist._id.toString(), playlist]));
+    const filed = new Set();
+
+    const nodes = new Map(folders.map(folder => {
+        const folderPlaylists = folder.playlists
+            .map(id => byId.get(id.toString()))
+            .filter(Boolean);
+        folderPlaylists.forEach(playlist => filed.add(playlist._id.toString()));
+
+        return [folder._id.toString(), {
+            _id: folder._id,
+            name: folder.name,
+            parent: folder.parent,
+            position: folder.position,
+            playlists: folderPlaylists,
+            folders: []
+        }];
+    }));
+
+    const rootFolders = [];
+    nodes.forEach(node => {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        (parent ? parent.folders : rootFolders).push(node);
+    });
+
+    const pinnedPlaylists = pinned
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean);
+    const pinnedIds = new Set(pinnedPlaylists.map(playlist => playlist._id.toString()));
+
+    return {
+        pinned: pinnedPlaylists,
+        folders: rootFolders,
+        unfiled: playlists.filter(playlist => {
+            const id = playlist._id.toString();
+            return !filed.has(id) && !pinnedIds.has(id);
+        })
+    };
+};
+
+module.exports = {
+    LIBRARY_SOURCES,
+    LIBRARY_TYPES,
+    LIBRARY_SORTS,
+    LIBRARY_SORT_QUERIES,
+    buildLibraryQuery,
+    applyCustomOrder,
+    buildLibraryTree
+};
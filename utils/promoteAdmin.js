@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const { ROLES } = require('../config/permissions');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rawmusic');
+        console.log('✅ Connected to MongoDB');
+    } catch (error) {
+        console.error('❌ MongoDB connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Promote (or demote) a user by email
+// Usage: npm run promote-admin -- <email> [role]
+const promoteUser = async (email, role = 'admin') => {
+    let exitCode = 0;
+
+    try {
+        if (!email) {
+            throw new Error('Usage: npm run promote-admin -- <email> [role]');
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+
+        await connectDB();
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (!user) {
+            throw new Error(`No user found with email ${email}`);
+        }
+
+        user.role = role;
+        await user.save();
+
+        console.log(`👑 ${user.username} (${user.email}) is now ${role}`);
+
+    } catch (error) {
+        console.error('❌ Error updating role:', error.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        process.exit(exitCode);
+    }
+};
+
+// Run from the command line
+if (require.main === module) {
+    const [email, role] = process.argv.slice(2);
+    promoteUser(email, role);
+}
+
+module.exports = { promoteUser };
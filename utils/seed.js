@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Track = require('../models/Track');
+const User = require('../models/User');
+const Playlist = require('../models/Playlist');
+const AIRequest = require('../models/AIRequest');
+const PlaylistRevision = require('../models/PlaylistRevision');
+const PlaylistFolder = require('../models/PlaylistFolder');
+const { seedTracks } = require('./seedTracks');
+const { DEMO_PASSWORD, demoUsers, seedUsers, seedPlaylists, seedAIHistory } = require('./seedFixtures');
+
+// Load environment variables
+dotenv.config();
+
+// Delete the demo users along with everything they own, so nothing is left pointing at them
+const resetDemoUsers = async () => {
+    const userIds = await User.find({ email: { $in: demoUsers.map(user => user.email) } }).distinct('_id');
+    const playlistIds = await Playlist.find({ owner: { $in: userIds } }).distinct('_id');
+
+    await User.updateMany({}, {
+        $pull: {
+            playlists: { $in: playlistIds },
+            likedPlaylists: { $in: playlistIds },
+            'library.pinned': { $in: playlistIds },
+            'library.order': { $in: playlistIds }
+        }
+    });
+    await PlaylistFolder.deleteMany({ owner: { $in: userIds } });
+    await PlaylistFolder.updateMany({}, { $pull: { playlists: { $in: playlistIds } } });
+    await PlaylistRevision.deleteMany({ playlist: { $in: playlistIds } });
+    await Playlist.deleteMany({ _id: { $in: playlistIds } });
+    await AIRequest.deleteMany({ user: { $in: userIds } });
+
+    return User.deleteMany({ _id: { $in: userIds } });
+};
+
+// Named fixture sets, in the order they must run
+const FIXTURE_SETS = {
+    tracks: {
+        dependsOn: [],
+        seed: seedTracks,
+        reset: () => Track.deleteMany({})
+    },
+    users: {
+        dependsOn: ['tracks'],
+        seed: seedUsers,
+        reset: resetDemoUsers
+    },
+    playlists: {
+        dependsOn: ['users'],
+        seed: seedPlaylists,
+        reset: async () => {
+            await User.updateMany({}, { $set: { playlists: [], likedPlaylists: [], 'library.pinned': [], 'library.order': [] } });
+            await PlaylistRevision.deleteMany({});
+            await PlaylistFolder.deleteMany({});
+            return Playlist.deleteMany({});
+        }
+    },
+    'ai-history': {
+        dependsOn: ['users', 'playlists'],
+        seed: seedAIHistory,
+        reset: () => AIRequest.deleteMany({})
+    }
+};
+
+const USAGE = `Usage: npm run seed -- [${Object.keys(FIXTURE_SETS).join('|')}|all ...] [--reset]
+
+Seeding upserts and never deletes. --reset wipes the selected sets first
+(all tracks, demo users with their playlists and AI history, all playlists with their history and folders,
+all AI history) and is refused in production.`;
+
+// Connect to MongoDB
+const connectDB = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rawmusic');
+        console.log('✅ Connected to MongoDB for seeding');
+    } catch (error) {
+        console.error('❌ MongoDB connection error:', error);
+        process.exit(1);
+    }
+};
+
+// Expand requested sets with their dependencies, in run order
+const resolveSets = (requested) => {
+    const selected = new Set();
+
+    const add = (name) => {
+        if (!FIXTURE_SETS[name]) {
+            throw new Error(`Unknown fixture set "${name}"\n\n${USAGE}`);
+        }
+        FIXTURE_SETS[name].dependsOn.forEach(add);
+        selected.add(name);
+    };
+
+    requested.forEach(name => (name === 'all' ? Object.keys(FIXTURE_SETS).forEach(add) : add(name)));
+    return Object.keys(FIXTURE_SETS).filter(name => selected.has(name));
+};
+
+// Seed the requested fixture sets
+const run = async (argv) => {
+    let exitCode = 0;
+    const reset = argv.includes('--reset');
+    const args = argv.filter(arg => !arg.startsWith('--'));
+    const requested = args.length === 0 ? ['tracks'] : args;
+
+    try {
+        if (argv.includes('--help')) {
+            console.log(USAGE);
+            return;
+        }
+
+        const sets = resolveSets(requested);
+
+        if (reset && process.env.NODE_ENV === 'production') {
+            throw new Error('Refusing to --reset a production database');
+        }
+
+        await connectDB();
+
+        // Only explicitly requested sets are wiped, never their dependencies
+        if (reset) {
+            const toReset = requested.includes('all') ? sets : sets.filter(name => requested.includes(name));
+            for (const name of [...toReset].reverse()) {
+                const { deletedCount } = await FIXTURE_SETS[name].reset();
+                console.log(`🗑️  Reset ${name}: removed ${deletedCount} documents`);
+            }
+        }
+
+        for (const name of sets) {
+            const { created, updated } = await FIXTURE_SETS[name].seed();
+            console.log(`🌱 ${name}: ${created} created, ${updated} updated`);
+        }
+
+        if (sets.includes('users')) {
+            console.log(`\n👤 Demo accounts use the password "${DEMO_PASSWORD}":`);
+            demoUsers.forEach(user => console.log(`   ${user.email} (${user.role})`));
+        }
+
+        console.log('\n🎵 Seeding complete. You can now start the server and test the API endpoints.');
+
+    } catch (error) {
+        console.error('❌ Error seeding database:', error.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        console.log('👋 Database connection closed');
+        process.exit(exitCode);
+    }
+};
+
+// Run seeder
+if (require.main === module) {
+    run(process.argv.slice(2));
+}
+
+module.exports = { run, FIXTURE_SETS };
@@ -0,0 +1,248 @@
+const Track = require('../models/Track');
+const User = require('../models/User');
+const Playlist = require('../models/Playlist');
+const AIRequest = require('../models/AIRequest');
+
+// Shared password for every demo account (local development only!)
+const DEMO_PASSWORD = 'rawmusic-demo';
+
+// Demo accounts, one per role
+const demoUsers = [
+    {
+        username: 'demo_listener',
+        email: 'listener@demo.rawmusic.dev',
+        role: 'user',
+        bio: 'Late-night jazz and early-morning ambient.',
+        favoriteGenres: ['jazz', 'ambient', 'classical'],
+        likedTracks: ['mCdA4bJAGGk', 'hFZFjoX2cGg', 'BaW_jenozKc'],
+        listeningHistory: ['mCdA4bJAGGk', 'hFZFjoX2cGg', 'VM3uXu1Dq4c', 'BaW_jenozKc', 'dQw4w9WgXcQ']
+    },
+    {
+        username: 'demo_curator',
+        email: 'curator@demo.rawmusic.dev',
+        role: 'curator',
+        bio: 'Keeping the catalog tidy.',
+        favoriteGenres: ['rock', 'electronic', 'hip-hop'],
+        likedTracks: ['fJ9rUzIMcZQ', 'ZbZSe6N_BXs', 'YQHsXMglC9A'],
+        listeningHistory: ['fJ9rUzIMcZQ', 'ZbZSe6N_BXs', 'YQHsXMglC9A', 'ehbK2y8bFrI']
+    },
+    {
+        username: 'demo_admin',
+        email: 'admin@demo.rawmusic.dev',
+        role: 'admin',
+        bio: 'Runs the place.',
+        favoriteGenres: ['pop', 'country'],
+        likedTracks: ['dQw4w9WgXcQ', '1vrEljMfXYo'],
+        listeningHistory: ['dQw4w9WgXcQ', '1vrEljMfXYo', 'ehbK2y8bFrI']
+    }
+];
+
+// Demo playlists, keyed by owner + name
+const demoPlaylists = [
+    {
+        owner: 'demo_listener',
+        name: 'After Hours',
+        description: 'Smooth sounds for the end of the day.',
+        isPublic: true,
+        tags: ['night', 'chill'],
+        tracks: ['mCdA4bJAGGk', 'VM3uXu1Dq4c', 'hFZFjoX2cGg']
+    },
+    {
+        owner: 'demo_listener',
+        name: 'Focus Mode',
+        description: 'Quiet background music for deep work.',
+        isPublic: false,
+        tags: ['focus', 'study'],
+        tracks: ['BaW_jenozKc', 'hFZFjoX2cGg']
+    },
+    {
+        owner: 'demo_curator',
+        name: 'Gym Rotation',
+        description: 'High energy tracks to keep you moving.',
+        isPublic: true,
+        tags: ['workout'],
+        tracks: ['fJ9rUzIMcZQ', 'ZbZSe6N_BXs', 'YQHsXMglC9A']
+    },
+    {
+        owner: 'demo_listener',
+        name: 'Rainy Sunday',
+        description: 'Mellow, reflective songs for a grey afternoon.',
+        isPublic: false,
+        isAIGenerated: true,
+        aiPrompt: 'mellow songs for a rainy sunday afternoon',
+        tracks: ['VM3uXu1Dq4c', 'mCdA4bJAGGk', 'BaW_jenozKc', '1vrEljMfXYo']
+    }
+];
+
+// Demo AI generation history, keyed by user + prompt
+const demoAIHistory = [
+    {
+        user: 'demo_listener',
+        prompt: 'mellow songs for a rainy sunday afternoon',
+        extractedMoods: ['melancholic', 'calm'],
+        extractedGenres: ['blues', 'jazz'],
+        extractedKeywords: ['rain', 'sunday', 'mellow'],
+        tracks: ['VM3uXu1Dq4c', 'mCdA4bJAGGk', 'BaW_jenozKc', '1vrEljMfXYo'],
+        playlist: 'Rainy Sunday',
+        rating: 5,
+        processingTime: 1840
+    },
+    {
+        user: 'demo_curator',
+        prompt: 'pump up music for leg day',
+        extractedMoods: ['energetic', 'motivational'],
+        extractedGenres: ['rock', 'hip-hop'],
+        extractedKeywords: ['workout', 'gym', 'power'],
+        tracks: ['fJ9rUzIMcZQ', 'YQHsXMglC9A', 'ZbZSe6N_BXs'],
+        rating: 4,
+        processingTime: 2210
+    }
+];
+
+// Look up track IDs by youtubeId, failing loudly if a fixture is missing
+const resolveTracks = async (youtubeIds) => {
+    const tracks = await Track.find({ youtubeId: { $in: youtubeIds } }).select('_id youtubeId');
+    const byYouTubeId = new Map(tracks.map(track => [track.youtubeId, track._id]));
+
+    return youtubeIds.map(youtubeId => {
+        if (!byYouTubeId.has(youtubeId)) {
+            throw new Error(`Track ${youtubeId} is missing; seed the tracks set first`);
+        }
+        return byYouTubeId.get(youtubeId);
+    });
+};
+
+// Look up demo users by username
+const resolveUsers = async () => {
+    const users = await User.find({ username: { $in: demoUsers.map(user => user.username) } });
+    return new Map(users.map(user => [user.username, user]));
+};
+
+// Create or update the demo accounts (passwords are only set on creation)
+const seedUsers = async () => {
+    const counts = { created: 0, updated: 0 };
+
+    for (const demoUser of demoUsers) {
+        const likedTracks = await resolveTracks(demoUser.likedTracks);
+        const historyTracks = await resolveTracks(demoUser.listeningHistory);
+
+        let user = await User.findOne({ email: demoUser.email });
+        if (!user) {
+            user = new User({ email: demoUser.email, password: DEMO_PASSWORD });
+            counts.created += 1;
+        } else {
+            counts.updated += 1;
+        }
+
+        user.username = demoUser.username;
+        user.role = demoUser.role;
+        user.bio = demoUser.bio;
+        user.isVerified = true;
+        user.preferences.favoriteGenres = demoUser.favoriteGenres;
+        user.likedTracks = likedTracks;
+
+        // Spread plays over the last few days so stats look realistic
+        user.listeningHistory = historyTracks.map((trackId, index) => ({
+            track: trackId,
+            playedAt: new Date(Date.now() - index * 6 * 60 * 60 * 1000),
+            duration: 120
+        }));
+        user.stats.totalTracks = historyTracks.length;
+        user.stats.totalListeningTime = historyTracks.length * 120;
+
+        await user.save();
+    }
+
+    return counts;
+};
+
+// Create or update the demo playlists
+const seedPlaylists = async () => {
+    const counts = { created: 0, updated: 0 };
+    const users = await resolveUsers();
+
+    for (const demoPlaylist of demoPlaylists) {
+        const owner = users.get(demoPlaylist.owner);
+        if (!owner) {
+            throw new Error(`User ${demoPlaylist.owner} is missing; seed the users set first`);
+        }
+
+        const trackIds = await resolveTracks(demoPlaylist.tracks);
+
+        let playlist = await Playlist.findOne({ owner: owner._id, name: demoPlaylist.name });
+        if (!playlist) {
+            playlist = new Playlist({ owner: owner._id, name: demoPlaylist.name });
+            counts.created += 1;
+        } else {
+            counts.updated += 1;
+        }
+
+        playlist.description = demoPlaylist.description;
+        playlist.isPublic = demoPlaylist.isPublic;
+        playlist.isActive = true;
+        playlist.tags = demoPlaylist.tags || [];
+        playlist.isAIGenerated = Boolean(demoPlaylist.isAIGenerated);
+        playlist.aiPrompt = demoPlaylist.aiPrompt || '';
+        if (demoPlaylist.isAIGenerated && !playlist.aiGeneratedAt) {
+            playlist.aiGeneratedAt = new Date();
+        }
+        playlist.tracks = trackIds.map(trackId => ({ track: trackId, addedBy: owner._id }));
+
+        await playlist.save();
+        await User.updateOne({ _id: owner._id }, { $addToSet: { playlists: playlist._id } });
+    }
+
+    return counts;
+};
+
+// Create or update the demo AI request history
+const seedAIHistory = async () => {
+    const counts = { created: 0, updated: 0 };
+    const users = await resolveUsers();
+
+    for (const entry of demoAIHistory) {
+        const user = users.get(entry.user);
+        if (!user) {
+            throw new Error(`User ${entry.user} is missing; seed the users set first`);
+        }
+
+        const trackIds = await resolveTracks(entry.tracks);
+        const playlist = entry.playlist
+            ? await Playlist.findOne({ owner: user._id, name: entry.playlist }).select('_id')
+            : null;
+
+        let aiRequest = await AIRequest.findOne({ user: user._id, prompt: entry.prompt });
+        if (!aiRequest) {
+            aiRequest = new AIRequest({ user: user._id, prompt: entry.prompt });
+            counts.created += 1;
+        } else {
+            counts.updated += 1;
+        }
+
+        aiRequest.requestType = 'playlist_generation';
+        aiRequest.status = 'completed';
+        aiRequest.extractedMoods = entry.extractedMoods;
+        aiRequest.extractedGenres = entry.extractedGenres;
+        aiRequest.extractedKeywords = entry.extractedKeywords;
+        aiRequest.generatedTracks = trackIds;
+        aiRequest.generatedPlaylist = playlist ? playlist._id : undefined;
+        aiRequest.processingTime = entry.processingTime;
+        if (entry.rating && !aiRequest.satisfaction?.rating) {
+            aiRequest.satisfaction = { rating: entry.rating, ratedAt: new Date() };
+        }
+
+        await aiRequest.save();
+    }
+
+    return counts;
+};
+
+module.exports = {
+    DEMO_PASSWORD,
+    demoUsers,
+    demoPlaylists,
+    demoAIHistory,
+    seedUsers,
+    seedPlaylists,
+    seedAIHistory
+};
@@ -1,10 +1,5 @@
-const mongoose = require('mongoose');
-const dotenv = require('dotenv');
 const Track = require('../models/Track');
 
-// Load environment variables
-dotenv.config();
-
 // Sample tracks from YouTube Audio Library
 const sampleTracks = [
     {
@@ -239,58 +234,34 @@ const sampleTracks = [
     }
 ];
 
-// Connect to MongoDB
-const connectDB = async () => {
-    try {
-        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rawmusic');
-        console.log('✅ Connected to MongoDB for seeding');
-    } catch (error) {
-        console.error('❌ MongoDB connection error:', error);
-        process.exit(1);
-    }
-};
-
-// Seed function
-const seedTracks = async () => {
-    try {
-        await connectDB();
-
-        // Clear existing tracks
-        console.log('🗑️  Clearing existing tracks...');
-        await Track.deleteMany({});
-
-        // Add sample tracks
-        console.log('📀 Adding sample tracks...');
-        const createdTracks = await Track.insertMany(sampleTracks);
-
-        console.log(`✅ Successfully seeded ${createdTracks.length} tracks!`);
-        
-        // Display summary
-        const genreCounts = {};
-        createdTracks.forEach(track => {
-            genreCounts[track.genre] = (genreCounts[track.genre] || 0) + 1;
-        });
-
-        console.log('\n📊 Genre Distribution:');
-        Object.entries(genreCounts).forEach(([genre, count]) => {
-            console.log(`   ${genre}: ${count} tracks`);
-        });
+// Upsert sample tracks by youtubeId (never deletes, safe to run repeatedly)
+const seedTracks = async (tracks = sampleTracks) => {
+    // Upserts skip schema validation, so check every fixture against the Track schema first
+    tracks.forEach(track => {
+        const error = new Track(track).validateSync();
+        if (error) {
+            throw new Error(`Invalid track fixture "${track.title}": ${error.message}`);
+        }
+    });
 
-        console.log('\n🎵 Sample tracks added to your Raw Music database!');
-        console.log('You can now start the server and test the API endpoints.');
+    const result = await Track.bulkWrite(tracks.map(track => ({
+        updateOne: {
+            filter: { youtubeId: track.youtubeId },
+            update: { $set: track },
+            upsert: true
+        }
+    })));
 
-    } catch (error) {
-        console.error('❌ Error seeding database:', error);
-    } finally {
-        await mongoose.connection.close();
-        console.log('👋 Database connection closed');
-        process.exit(0);
-    }
+    return {
+        created: result.upsertedCount,
+        updated: result.modifiedCount,
+        unchanged: tracks.length - result.upsertedCount - result.modifiedCount
+    };
 };
 
-// Run seeder
+module.exports = { seedTracks, sampleTracks };
+
+// Kept for backwards compatibility: `node utils/seedTracks.js` seeds the tracks set
 if (require.main === module) {
-    seedTracks();
+    require('./seed').run(['tracks', ...process.argv.slice(2)]);
 }
-
-module.exports = { seedTracks, sampleTracks };
@@ -0,0 +1,191 @@
+const Playlist = require('../models/Playlist');
+const Track = require('../models/Track');
+const User = require('../models/User');
+
+// Range rules map onto these Track paths
+const RANGE_FIELDS = {
+    energy: 'metadata.energy',
+    danceability: 'metadata.danceability',
+    valence: 'metadata.valence',
+    bpm: 'metadata.bpm',
+    releaseYear: 'releaseYear'
+};
+
+const SORTS = {
+    popularity: { popularity: -1, playCount: -1 },
+    playCount: { playCount: -1 },
+    newest: { createdAt: -1 },
+    releaseYear: { releaseYear: -1, createdAt: -1 },
+    title: { title: 1 }
+};
+
+// Build a Track filter from smart rules; owner supplies likedTracks and listeningHistory
+const buildTrackFilter = (rules, owner) => {
+    const filter = { isActive: true };
+
+    if (rules.genres && rules.genres.length > 0) {
+        filter.genre = { $in: rules.genres };
+    }
+    if (rules.moods && rules.moods.length > 0) {
+        filter.mood = { $in: rules.moods };
+    }
+
+    Object.entries(RANGE_FIELDS).forEach(([rule, path]) => {
+        const range = rules[rule];
+        if (!range) return;
+
+        const condition = {};
+        if (range.min !== undefined && range.min !== null) condition.$gte = range.min;
+        if (range.max !== undefined && range.max !== null) condition.$lte = range.max;
+        if (Object.keys(condition).length > 0) filter[path] = condition;
+    });
+
+    const idConditions = [];
+    if (rules.likedByOwner) {
+        idConditions.push({ _id: { $in: owner.likedTracks } });
+    }
+    if (rules.notPlayedInDays) {
+        const since = new Date(Date.now() - rules.notPlayedInDays * 24 * 60 * 60 * 1000);
+        const recentlyPlayed = owner.listeningHistory
+            .filter(entry => entry.playedAt >= since)
+            .map(entry => entry.track);
+        idConditions.push({ _id: { $nin: recentlyPlayed } });
+    }
+    if (idConditions.length > 0) {
+        filter.$and = idConditions;
+    }
+
+    return filter;
+};
+
+// Evaluate smart rules for an owner and return matching track IDs in order
+const evaluateRules = async (rules, ownerId) => {
+    const owner = await User.findById(ownerId).select('likedTracks listeningHistory');
+    if (!owner) {
+        throw new Error('Playlist owner not found');
+    }
+
+    const filter = buildTrackFilter(rules, owner);
+    const limit = rules.limit || 50;
+
+    if (rules.sort === 'random') {
+        const tracks = await Track.aggregate([
+            { $match: filter },
+            { $sample: { size: limit } },
+            { $project: { _id: 1 } }
+        ]);
+        return tracks.map(track => track._id);
+    }
+
+    const tracks = await Track.find(filter)
+        .sort(SORTS[rules.sort] || SORTS.popularity)
+        .limit(limit)
+        .select('_id');
+    return tracks.map(track => track._id);
+};
+
+// Re-evaluate a smart playlist and save its materialised track list.
+// Tracks that stay in the playlist keep their original addedAt.
+const refreshSmartPlaylist = async (playlist) => {
+    const ownerId = playlist.owner._id || playlist.owner;
+    const trackIds = await evaluateRules(playlist.smartRules, ownerId);
+
+    const existing = new Map(playlist.tracks.filter(item => item.track).map(item => [(item.track._id || item.track).toString(), item]));
+    const currentIds = [...existing.keys()];
+    const nextIds = trackIds.map(trackId => trackId.toString());
+
+    // A random sort reshuffles on every evaluation, so only a different set of tracks counts as a change
+    const unchanged = playlist.smartRules.sort === 'random'
+        ? nextIds.length === currentIds.length && nextIds.every(id => existing.has(id))
+        : nextIds.join() === currentIds.join();
+
+    const refreshedAt = new Date();
+
+    // Same tracks and nothing else to save: record the refresh without bumping updatedAt or
+    // tracksVersion, so readers don't cause conflicts for editors
+    if (unchanged && !playlist.isModified()) {
+        await playlist.constructor.updateOne(
+            { _id: playlist._id },
+            { $set: { 'smartRules.lastRefreshedAt': refreshedAt } },
+            { timestamps: false }
+        );
+        playlist.smartRules.lastRefreshedAt = refreshedAt;
+        return playlist;
+    }
+
+    if (!unchanged) {
+        playlist.tracks = trackIds.map(trackId => ({
+            track: trackId,
+            addedBy: ownerId,
+            addedAt: existing.get(trackId.toString())?.addedAt || new Date()
+        }));
+    }
+    playlist.smartRules.lastRefreshedAt = refreshedAt;
+
+    await playlist.save();
+    return playlist;
+};
+
+// Refresh a smart playlist if its interval has passed; returns true when refreshed
+const refreshIfDue = async (playlist) => {
+    if (!playlist.isRefreshDue()) return false;
+
+    try {
+        await refreshSmartPlaylist(playlist);
+    } catch (error) {
+        // Another request refreshed it first; the tracks we evaluated are just as current
+        if (error.name !== 'DocumentNotFoundError') throw error;
+    }
+    return true;
+};
+
+// Refresh every scheduled smart playlist whose interval has passed
+const refreshDueSmartPlaylists = async () => {
+    const now = Date.now();
+    const playlists = await Playlist.find({
+        isSmart: true,
+        isActive: true,
+        'smartRules.refreshIntervalHours': { $gt: 0 },
+        $expr: {
+            $lte: [
+                { $ifNull: ['$smartRules.lastRefreshedAt', new Date(0)] },
+                { $subtract: [new Date(now), { $multiply: ['$smartRules.refreshIntervalHours', 60 * 60 * 1000] }] }
+            ]
+        }
+    });
+
+    let refreshed = 0;
+    for (const playlist of playlists) {
+        try {
+            await refreshSmartPlaylist(playlist);
+            refreshed += 1;
+        } catch (error) {
+            console.error(`Smart playlist ${playlist._id} refresh failed:`, error.message);
+        }
+    }
+    return refreshed;
+};
+
+// Periodically refresh scheduled smart playlists (minutes <= 0 disables the scheduler)
+const startSmartPlaylistScheduler = (minutes) => {
+    if (!(minutes > 0)) return null;
+
+    const timer = setInterval(() => {
+        refreshDueSmartPlaylists().catch(error => {
+            console.error('Smart playlist scheduler error:', error.message);
+        });
+    }, minutes * 60 * 1000);
+
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    buildTrackFilter,
+    evaluateRules,
+    refreshSmartPlaylist,
+    refreshIfDue,
+    refreshDueSmartPlaylists,
+    startSmartPlaylistScheduler
+};
@@ -1,5 +1,6 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const dotenv = require('dotenv');
+const { DEFAULT_GEMINI_MODEL } = require('./geminiProvider');
 
 // Load environment variables
 dotenv.config();
@@ -11,8 +12,8 @@ async function testGeminiAPI() {
     try {
         console.log('🧠 Testing Gemini API connection...');
         
-        // For text-only input, use the gemini-pro model
-        const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+        // Use the same model as playlist generation
+        const model = genAI.getGenerativeModel({ model: process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL });
         
         const prompt = `
         Generate a playlist based on this mood: "relaxing summer sunset by the beach".
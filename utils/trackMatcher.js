@@ -0,0 +1,136 @@
+const Track = require('../models/Track');
+const { extractYouTubeId } = require('./youtubeHelper');
+
+// Scores are 0..1; a match needs a clear winner above MATCH_SCORE
+const MATCH_SCORE = 0.8;
+const CANDIDATE_SCORE = 0.5;
+const MIN_LEAD = 0.1;
+const CANDIDATES_PER_ENTRY = 10;
+
+const VERSION_NOTE = /official|video|audio|lyrics?|remaster(ed)?|hd|hq/;
+
+// Lowercase, strip accents, "(Official Video)"-style suffixes, "feat." credits and punctuation.
+// Brackets can't nest in the pattern, which keeps it linear on long input.
+const normalize = (value) => (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(([^()]*)\)|\[([^[\]]*)\]/g, (note, round, square) => (VERSION_NOTE.test(round ?? square) ? ' ' : note))
+    .replace(/\b(feat|ft|featuring)\.?\s.*$/, ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Dice coefficient over word tokens
+const similarity = (a, b) => {
+    const left = normalize(a).split(' ').filter(Boolean);
+    const right = normalize(b).split(' ').filter(Boolean);
+    if (left.length === 0 || right.length === 0) return 0;
+
+    const remaining = [...right];
+    let shared = 0;
+    left.forEach(token => {
+        const index = remaining.indexOf(token);
+        if (index > -1) {
+            shared += 1;
+            remaining.splice(index, 1);
+        }
+    });
+
+    return (2 * shared) / (left.length + right.length);
+};
+
+// Score a catalog track against an imported entry
+const scoreTrack = (entry, track) => {
+    const titleScore = similarity(entry.title, track.title);
+    if (!entry.artist) return titleScore;
+
+    // Some lists swap the two, so also try "Title - Artist"
+    const straight = 0.65 * titleScore + 0.35 * similarity(entry.artist, track.artist);
+    const swapped = 0.65 * similarity(entry.artist, track.title) + 0.35 * similarity(entry.title, track.artist);
+    return Math.max(straight, swapped);
+};
+
+const summarize = (track, score) => ({
+    _id: track._id,
+    title: track.title,
+    artist: track.artist,
+    youtubeId: track.youtubeId,
+    ...(score !== undefined && { score: Math.round(score * 100) / 100 })
+});
+
+// Fuzzy-match one entry by title and artist using the text index
+const fuzzyMatch = async (entry) => {
+    const query = [entry.artist, entry.title].filter(Boolean).join(' ');
+    if (!normalize(query)) {
+        return { status: 'unmatched', reason: 'No title or link found' };
+    }
+
+    const candidates = await Track.find(
+        { $text: { $search: normalize(query) }, isActive: true },
+        { score: { $meta: 'textScore' } }
+    )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(CANDIDATES_PER_ENTRY)
+        .select('title artist youtubeId');
+
+    const ranked = candidates
+        .map(track => ({ track, score: scoreTrack(entry, track) }))
+        .filter(({ score }) => score >= CANDIDATE_SCORE)
+        .sort((a, b) => b.score - a.score);
+
+    if (ranked.length === 0) {
+        return { status: 'unmatched', reason: 'No similar track in the catalog' };
+    }
+
+    const [best, runnerUp] = ranked;
+    const isClearWinner = best.score >= MATCH_SCORE && (!runnerUp || best.score - runnerUp.score >= MIN_LEAD);
+
+    if (isClearWinner) {
+        return { status: 'matched', matchedBy: 'title', track: summarize(best.track, best.score) };
+    }
+
+    return {
+        status: 'ambiguous',
+        candidates: ranked.slice(0, 3).map(({ track, score }) => summarize(track, score))
+    };
+};
+
+// Match parsed playlist entries against the catalog: YouTube link/ID first, then fuzzy title+artist.
+// Returns one result per entry: { line, title, artist, status, track | candidates | reason }
+const matchEntries = async (entries) => {
+    const youtubeIds = entries.map(entry => extractYouTubeId(entry.location));
+    const linkedTracks = await Track.find({
+        youtubeId: { $in: youtubeIds.filter(Boolean) },
+        isActive: true
+    }).select('title artist youtubeId');
+    const byYouTubeId = new Map(linkedTracks.map(track => [track.youtubeId, track]));
+
+    const results = [];
+    for (const [index, entry] of entries.entries()) {
+        const linked = byYouTubeId.get(youtubeIds[index]);
+        let match;
+        if (linked) {
+            match = { status: 'matched', matchedBy: 'youtubeId', track: summarize(linked) };
+        } else if (youtubeIds[index] && !entry.title) {
+            match = { status: 'unmatched', reason: 'YouTube video is not in the catalog' };
+        } else {
+            match = await fuzzyMatch(entry);
+        }
+
+        results.push({
+            line: entry.line,
+            title: entry.title,
+            artist: entry.artist,
+            ...match
+        });
+    }
+
+    return results;
+};
+
+module.exports = {
+    normalize,
+    similarity,
+    matchEntries
+};
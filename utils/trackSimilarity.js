@@ -0,0 +1,167 @@
+const Track = require('../models/Track');
+const { escapeRegex } = require('./escapeRegex');
+
+// Audio features compared between tracks, with the spread that counts as "completely different"
+const FEATURE_RANGES = {
+    energy: 1,
+    danceability: 1,
+    valence: 1,
+    bpm: 100
+};
+
+// How much each part of the profile counts towards a candidate's score
+const WEIGHTS = {
+    features: 0.45,
+    genre: 0.2,
+    mood: 0.15,
+    tags: 0.1,
+    intent: 0.1
+};
+
+const MAX_TRACKS_PER_ARTIST = 20;
+const MAX_CANDIDATES = 300;
+// Keep recommendations varied: at most this many tracks by one artist
+const MAX_PER_ARTIST = 3;
+
+// Share of each value in a list, most common first
+const frequencies = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([value, count]) => ({ value, share: count / values.length }));
+};
+
+// Collect the catalog tracks behind a set of seeds (track IDs, artist names and/or a playlist)
+const collectSeedTracks = async ({ trackIds = [], artists = [], playlist = null }) => {
+    const ids = [...trackIds, ...(playlist ? playlist.tracks.map(item => item.track) : [])];
+
+    const [byId, ...byArtist] = await Promise.all([
+        Track.find({ _id: { $in: ids }, isActive: true }).select('-__v'),
+        ...artists.map(artist => Track.find({ artist: new RegExp(`^${escapeRegex(artist.trim())}$`, 'i'), isActive: true })
+            .sort({ popularity: -1 })
+            .limit(MAX_TRACKS_PER_ARTIST)
+            .select('-__v'))
+    ]);
+
+    const seen = new Set();
+    return [...byId, ...byArtist.flat()].filter(track => {
+        const id = track._id.toString();
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+};
+
+// Summarise seed tracks: genre, mood and tag shares, average audio features and the most common key
+const buildSeedProfile = (tracks) => {
+    const features = {};
+    Object.keys(FEATURE_RANGES).forEach(feature => {
+        const values = tracks
+            .map(track => track.metadata && track.metadata[feature])
+            .filter(value => typeof value === 'number');
+        if (values.length > 0) {
+            features[feature] = values.reduce((sum, value) => sum + value, 0) / values.length;
+        }
+    });
+
+    const keys = frequencies(tracks.map(track => track.metadata && track.metadata.key).filter(Boolean));
+
+    return {
+        genres: frequencies(tracks.map(track => track.genre)),
+        moods: frequencies(tracks.flatMap(track => track.mood || [])),
+        tags: frequencies(tracks.flatMap(track => track.tags || [])),
+        artists: [...new Set(tracks.map(track => track.artist))],
+        features,
+        key: keys.length > 0 ? keys[0].value : null
+    };
+};
+
+// Closeness of a track's audio features (and key) to the profile, 0..1; null when nothing to compare
+const featureSimilarity = (track, profile) => {
+    const metadata = track.metadata || {};
+    const scores = Object.entries(profile.features)
+        .filter(([feature]) => typeof metadata[feature] === 'number')
+        .map(([feature, target]) => 1 - Math.min(Math.abs(metadata[feature] - target) / FEATURE_RANGES[feature], 1));
+
+    if (profile.key && metadata.key) {
+        scores.push(metadata.key.toLowerCase() === profile.key.toLowerCase() ? 1 : 0);
+    }
+
+    if (scores.length === 0) return null;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+};
+
+// Score a candidate against the seed profile (and an optional prompt intent), 0..1
+const scoreCandidate = (track, profile, intent) => {
+    const shareOf = (list, value) => (list.find(entry => entry.value === value) || { share: 0 }).share;
+    const moods = track.mood || [];
+    const tags = track.tags || [];
+    const text = [track.title, track.artist, ...tags].join(' ').toLowerCase();
+
+    const parts = {
+        features: featureSimilarity(track, profile),
+        genre: shareOf(profile.genres, track.genre),
+        mood: moods.length > 0 ? Math.max(...moods.map(mood => shareOf(profile.moods, mood))) : 0,
+        tags: tags.length > 0 ? Math.min(tags.reduce((sum, tag) => sum + shareOf(profile.tags, tag), 0), 1) : 0,
+        intent: intent
+            ? [
+                intent.genres.includes(track.genre),
+                moods.some(mood => intent.moods.includes(mood)),
+                intent.keywords.some(keyword => text.includes(keyword))
+            ].filter(Boolean).length / 3
+            : null
+    };
+
+    // Leave out parts that can't be judged and rescale the rest
+    const judged = Object.entries(parts).filter(([, value]) => value !== null);
+    const totalWeight = judged.reduce((sum, [part]) => sum + WEIGHTS[part], 0);
+    return judged.reduce((sum, [part, value]) => sum + WEIGHTS[part] * value, 0) / totalWeight;
+};
+
+// Find the catalog tracks closest to the seeds, blended with a prompt intent when given
+const findSimilarTracks = async (seedTracks, { intent = null, limit = 20 } = {}) => {
+    const profile = buildSeedProfile(seedTracks);
+    const topValues = (list, count) => list.slice(0, count).map(entry => entry.value);
+
+    const genres = [...new Set([...topValues(profile.genres, 3), ...(intent ? intent.genres : [])])];
+    const moods = [...new Set([...topValues(profile.moods, 3), ...(intent ? intent.moods : [])])];
+    const tags = topValues(profile.tags, 10);
+
+    const candidateCriteria = [
+        { genre: { $in: genres } },
+        { mood: { $in: moods } },
+        { tags: { $in: tags } },
+        { artist: { $in: profile.artists } }
+    ];
+    const candidates = await Track.find({
+        isActive: true,
+        _id: { $nin: seedTracks.map(track => track._id) },
+        $or: candidateCriteria
+    })
+    .sort({ popularity: -1 })
+    .limit(MAX_CANDIDATES)
+    .select('-__v');
+
+    const perArtist = new Map();
+    const tracks = candidates
+        .map(track => ({ track, score: scoreCandidate(track, profile, intent) }))
+        .sort((a, b) => b.score - a.score)
+        .filter(({ track }) => {
+            const count = perArtist.get(track.artist) || 0;
+            perArtist.set(track.artist, count + 1);
+            return count < MAX_PER_ARTIST;
+        })
+        .slice(0, limit)
+        .map(({ track }) => track);
+
+    return { profile, tracks };
+};
+
+module.exports = {
+    collectSeedTracks,
+    buildSeedProfile,
+    scoreCandidate,
+    findSimilarTracks
+};
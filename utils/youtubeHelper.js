@@ -0,0 +1,33 @@
+// Build the watch URL for a YouTube video ID
+const getYouTubeUrl = (youtubeId) => {
+    return `https://www.youtube.com/watch?v=${youtubeId}`;
+};
+
+// Build the standard thumbnail set for a YouTube video ID
+const getYouTubeThumbnails = (youtubeId) => {
+    return {
+        default: `https://i.ytimg.com/vi/${youtubeId}/default.jpg`,
+        small: `https://i.ytimg.com/vi/${youtubeId}/default.jpg`,
+        medium: `https://i.ytimg.com/vi/${youtubeId}/mqdefault.jpg`,
+        large: `https://i.ytimg.com/vi/${youtubeId}/maxresdefault.jpg`
+    };
+};
+
+// Extract a video ID from a YouTube URL (or return the ID if one is passed)
+const extractYouTubeId = (value) => {
+    if (!value) return null;
+
+    const input = value.trim();
+    if (/^[a-zA-Z0-9_-]{11}$/.test(input)) {
+        return input;
+    }
+
+    const match = input.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|v\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
+    return match ? match[1] : null;
+};
+
+module.exports = {
+    getYouTubeUrl,
+    getYouTubeThumbnails,
+    extractYouTubeId
+};
@@ -0,0 +1,225 @@
+const { google } = require('googleapis');
+const Track = require('../models/Track');
+const TrackAudit = require('../models/TrackAudit');
+const { getYouTubeUrl } = require('./youtubeHelper');
+
+const GENRES = Track.schema.path('genre').enumValues;
+const MOODS = Track.schema.path('mood').caster.enumValues;
+
+// videos.list accepts at most 50 IDs per call
+const VIDEOS_PER_REQUEST = 50;
+
+// Create a YouTube Data API client (pass your own to ingest() for offline use)
+const createYouTubeClient = () => {
+    return google.youtube({
+        version: 'v3',
+        auth: process.env.YOUTUBE_API_KEY
+    });
+};
+
+// Convert an ISO 8601 duration (e.g. PT1H2M3S) to seconds
+const parseISODuration = (duration) => {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(duration || '');
+    if (!match) return 0;
+
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return Math.round(
+        Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)
+    );
+};
+
+// Genres that are also everyday words only count in a title when spelled out
+const TITLE_GENRE_TERMS = {
+    world: 'world music'
+};
+
+// Match a genre as a whole word: "metal" but not "Metallica", "pop" but not "K-pop" or "popular";
+// hip-hop also matches "hip hop" and "hiphop"
+const genrePattern = (term) => new RegExp(`(?<![\\w-])${term.replace('-', '[- ]?')}(?![\\w-])`);
+
+// Guess a catalog genre from the video's tags, then its title
+const inferGenre = (snippet) => {
+    const tags = (snippet.tags || []).join(' | ').toLowerCase();
+    const title = (snippet.title || '').toLowerCase();
+
+    return GENRES.find(genre => genrePattern(genre).test(tags)) ||
+        GENRES.find(genre => genrePattern(TITLE_GENRE_TERMS[genre] || genre).test(title)) ||
+        null;
+};
+
+// Map a videos.list item to Track fields
+const mapVideoToTrack = (video, defaults = {}) => {
+    const { snippet = {}, contentDetails = {} } = video;
+    const thumbnails = snippet.thumbnails || {};
+    const publishedYear = snippet.publishedAt ? new Date(snippet.publishedAt).getFullYear() : undefined;
+
+    return {
+        title: (snippet.title || '').trim().substring(0, 100),
+        artist: (snippet.channelTitle || 'Unknown Artist').trim().substring(0, 100),
+        duration: parseISODuration(contentDetails.duration),
+        genre: defaults.genre || inferGenre(snippet),
+        mood: (defaults.mood || []).filter(mood => MOODS.includes(mood)),
+        tags: [...new Set([...(defaults.tags || []), ...(snippet.tags || []).slice(0, 10)]
+            .map(tag => tag.toLowerCase().trim())
+            .filter(Boolean))],
+        youtubeId: video.id,
+        youtubeUrl: getYouTubeUrl(video.id),
+        thumbnail: {
+            default: thumbnails.default?.url,
+            small: thumbnails.default?.url,
+            medium: thumbnails.medium?.url,
+            large: (thumbnails.maxres || thumbnails.high || thumbnails.medium)?.url
+        },
+        releaseYear: publishedYear
+    };
+};
+
+// Collect video IDs from a search query, a channel or a playlist
+const collectVideoIds = async (youtube, { query, channelId, playlistId, maxResults }) => {
+    const ids = [];
+    let pageToken;
+
+    do {
+        const pageSize = Math.min(50, maxResults - ids.length);
+        let response;
+
+        if (playlistId) {
+            response = await youtube.playlistItems.list({
+                part: 'contentDetails',
+                playlistId,
+                maxResults: pageSize,
+                pageToken
+            });
+            response.data.items.forEach(item => ids.push(item.contentDetails.videoId));
+        } else {
+            response = await youtube.search.list({
+                part: 'id',
+                type: 'video',
+                videoCategoryId: '10', // Music category
+                videoLicense: 'creativeCommon', // Only CC licensed
+                q: query,
+                channelId,
+                maxResults: pageSize,
+                pageToken
+            });
+            response.data.items.forEach(item => ids.push(item.id.videoId));
+        }
+
+        pageToken = response.data.nextPageToken;
+    } while (pageToken && ids.length < maxResults);
+
+    return [...new Set(ids.filter(Boolean))].slice(0, maxResults);
+};
+
+// Fetch full video details in batches
+const fetchVideos = async (youtube, ids) => {
+    const videos = [];
+
+    for (let i = 0; i < ids.length; i += VIDEOS_PER_REQUEST) {
+        const response = await youtube.videos.list({
+            part: 'snippet,contentDetails,status',
+            id: ids.slice(i, i + VIDEOS_PER_REQUEST).join(',')
+        });
+        videos.push(...response.data.items);
+    }
+
+    return videos;
+};
+
+// Fields refreshed from YouTube on re-ingest; curated fields (title, genre, mood...) are left alone
+const SYNCED_FIELDS = ['duration', 'thumbnail', 'releaseYear', 'youtubeUrl'];
+
+// Ingest videos into the track catalog, upserting on youtubeId
+// options: { query | channelId | playlistId, maxResults, genre, mood, tags }
+// context: { youtube (injectable client), userId (for the audit trail) }
+const ingest = async (options = {}, context = {}) => {
+    const { query, channelId, playlistId, maxResults = 25, ...defaults } = options;
+    const { youtube = createYouTubeClient(), userId } = context;
+
+    if (!query && !channelId && !playlistId) {
+        throw new Error('A search query, channel ID or playlist ID is required');
+    }
+
+    const report = { created: 0, updated: 0, skipped: 0, items: [] };
+    const skip = (youtubeId, title, reason) => {
+        report.skipped += 1;
+        report.items.push({ youtubeId, title, result: 'skipped', reason });
+    };
+
+    let videos;
+    try {
+        const ids = await collectVideoIds(youtube, { query, channelId, playlistId, maxResults: Math.min(maxResults, 200) });
+        videos = await fetchVideos(youtube, ids);
+    } catch (error) {
+        throw new Error(`YouTube API request failed: ${error.message}`);
+    }
+
+    const existingTracks = await Track.find({ youtubeId: { $in: videos.map(video => video.id) } });
+    const existingById = new Map(existingTracks.map(track => [track.youtubeId, track]));
+
+    for (const video of videos) {
+        const trackData = mapVideoToTrack(video, defaults);
+
+        if (video.status && video.status.embeddable === false) {
+            skip(video.id, trackData.title, 'Video cannot be embedded');
+            continue;
+        }
+        if (trackData.duration < 1) {
+            skip(video.id, trackData.title, 'Video has no duration (live or upcoming)');
+            continue;
+        }
+
+        try {
+            const existing = existingById.get(video.id);
+
+            if (existing) {
+                const before = existing.toObject();
+                SYNCED_FIELDS.forEach(field => {
+                    existing[field] = trackData[field];
+                });
+
+                const changes = TrackAudit.diff(before, existing.toObject(), SYNCED_FIELDS);
+
+                if (changes.length === 0) {
+                    skip(video.id, existing.title, 'Already up to date');
+                    continue;
+                }
+
+                await existing.save();
+                await TrackAudit.record(existing._id, 'update', userId, changes);
+
+                report.updated += 1;
+                report.items.push({ youtubeId: video.id, title: existing.title, result: 'updated', trackId: existing._id });
+                continue;
+            }
+
+            if (!trackData.genre) {
+                skip(video.id, trackData.title, 'Genre could not be determined; pass a default genre');
+                continue;
+            }
+
+            const track = await Track.create({
+                ...trackData,
+                addedBy: userId ? userId.toString() : 'youtube-ingest'
+            });
+            await TrackAudit.record(track._id, 'create', userId, [
+                { field: 'youtubeId', from: undefined, to: track.youtubeId }
+            ]);
+
+            report.created += 1;
+            report.items.push({ youtubeId: video.id, title: track.title, result: 'created', trackId: track._id });
+
+        } catch (error) {
+            skip(video.id, trackData.title, error.message);
+        }
+    }
+
+    return report;
+};
+
+module.exports = {
+    createYouTubeClient,
+    parseISODuration,
+    mapVideoToTrack,
+    ingest
+};